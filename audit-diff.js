@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * audit-diff.js – Regression diff between two saved audits of the same site
+ *
+ * Usage:
+ *   node audit-diff.js --project <name> [options]
+ *
+ * Required:
+ *   --project     Project name (reads reports/<project>/audit-*.json)
+ *
+ * Optional:
+ *   --baseline    Older audit JSON (file name in reports/<project>/ or path)
+ *   --current     Newer audit JSON (file name in reports/<project>/ or path)
+ *   --host        Host to pick the latest two audits for (Default: newest host with two audits)
+ *
+ * Without --baseline/--current the two newest audits of the same host are compared.
+ * Exits with code 2 if a regression was found (new trackers/cookies before consent
+ * or after reject, lost Consent Mode update, lost trackers after accept, ...).
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync } from 'fs';
+import { resolve, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ── CLI args ──────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+const get = (flag) => { const i = args.indexOf(flag); return i !== -1 ? args[i + 1] : null; };
+
+const project = get('--project');
+const baselineFlag = get('--baseline');
+const currentFlag = get('--current');
+const hostFlag = get('--host');
+
+if (!project) {
+  console.error('Usage: node audit-diff.js --project <name> [--baseline <file>] [--current <file>] [--host <host>]');
+  process.exit(1);
+}
+
+if (!!baselineFlag !== !!currentFlag) {
+  console.error('--baseline und --current nur gemeinsam angeben.');
+  process.exit(1);
+}
+
+const reportDir = resolve(__dirname, 'reports', project);
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+
+const AUDIT_FILE_RE = /^audit-(.+)-(\d{4}-\d{2}-\d{2}-\d{4})\.json$/;
+
+const PHASE_LABELS = {
+  preConsent: 'Pre-Consent',
+  postAccept: 'Post-Accept',
+  postReject: 'Post-Reject',
+};
+
+/**
+ * Pick the two newest audit JSONs of one host from the project directory.
+ */
+function findLatestPair(dir, host) {
+  const audits = readdirSync(dir)
+    .map(f => ({ file: f, match: f.match(AUDIT_FILE_RE) }))
+    .filter(a => a.match)
+    .map(a => ({ file: a.file, hostSlug: a.match[1], ts: a.match[2] }))
+    .sort((a, b) => b.ts.localeCompare(a.ts));
+  if (audits.length === 0) return null;
+
+  // Default: newest host that has at least two audits
+  const hostSlug = host
+    ? host.replace(/\./g, '_')
+    : audits.find(a => audits.filter(b => b.hostSlug === a.hostSlug).length >= 2)?.hostSlug;
+  const sameHost = audits.filter(a => a.hostSlug === hostSlug);
+  if (sameHost.length < 2) return null;
+  return { baseline: resolve(dir, sameHost[1].file), current: resolve(dir, sameHost[0].file) };
+}
+
+function resolveReportPath(value) {
+  const inProject = resolve(reportDir, value);
+  return existsSync(inProject) ? inProject : resolve(value);
+}
+
+function loadAudit(path) {
+  const report = JSON.parse(readFileSync(path, 'utf-8'));
+  if (report.generator !== 'audit.js') throw new Error(`${basename(path)} ist kein audit.js-Report`);
+  return report;
+}
+
+// ── Diff ──────────────────────────────────────────────────────────────────────
+
+function diffLists(before, after) {
+  const b = new Set(before);
+  const a = new Set(after);
+  return {
+    added: [...a].filter(x => !b.has(x)),
+    removed: [...b].filter(x => !a.has(x)),
+  };
+}
+
+function trackerNames(trackers) {
+  return (trackers || [])
+    .filter(t => t.vendor !== 'Sonstige Third-Party')
+    .map(t => t.product || t.vendor);
+}
+
+function cookieNames(cookies) {
+  return (cookies || []).map(c => `${c.name} (${c.domain})`);
+}
+
+function distinct(params, key) {
+  return [...new Set((params || []).map(p => p[key]).filter(v => v && v !== '-'))];
+}
+
+/**
+ * Tracker lists per phase; E-Commerce steps are compared by step name.
+ */
+function trackerPhases(report) {
+  const phases = {};
+  for (const phase of Object.keys(PHASE_LABELS)) phases[PHASE_LABELS[phase]] = trackerNames(report[phase]?.trackers);
+  for (const step of report.ecommerce || []) phases[`E-Commerce: ${step.name}`] = trackerNames(step.trackers);
+  return phases;
+}
+
+function loaderKey(l) {
+  return `${l.type} ${l.host}${l.path}${l.id ? ` (${l.id})` : ''}`;
+}
+
+function buildAuditDiff(baseline, current) {
+  const trackersB = trackerPhases(baseline);
+  const trackersC = trackerPhases(current);
+  const trackers = {};
+  for (const phase of new Set([...Object.keys(trackersB), ...Object.keys(trackersC)])) {
+    // Steps that only exist in one audit say nothing about regressions
+    if (!(phase in trackersB) || !(phase in trackersC)) continue;
+    trackers[phase] = diffLists(trackersB[phase], trackersC[phase]);
+  }
+
+  const cookies = {
+    'Pre-Consent': diffLists(cookieNames(baseline.preConsent?.cookies), cookieNames(current.preConsent?.cookies)),
+    'Post-Accept': diffLists(cookieNames(baseline.postAccept?.cookiesDiff), cookieNames(current.postAccept?.cookiesDiff)),
+    'Post-Reject': diffLists(cookieNames(baseline.postReject?.cookiesDiff), cookieNames(current.postReject?.cookiesDiff)),
+  };
+
+  const cmtB = baseline.consentModeTransition || {};
+  const cmtC = current.consentModeTransition || {};
+  const consentMode = {
+    status: { from: cmtB.status || null, to: cmtC.status || null },
+    values: ['preConsent', 'postAccept'].flatMap(phase => ['gcs', 'gcd'].map(param => ({
+      label: `${PHASE_LABELS[phase]} ${param}`,
+      from: distinct(baseline[phase]?.consentMode, param),
+      to: distinct(current[phase]?.consentMode, param),
+    }))),
+    v2Missing: diffLists(cmtB.v2Missing || [], cmtC.v2Missing || []),
+  };
+
+  const sst = {
+    loaders: diffLists((baseline.sst?.loaders || []).map(loaderKey), (current.sst?.loaders || []).map(loaderKey)),
+    collectEndpoints: diffLists(
+      (baseline.sst?.collectEndpoints || []).map(e => `${e.host}${e.path}`),
+      (current.sst?.collectEndpoints || []).map(e => `${e.host}${e.path}`),
+    ),
+  };
+
+  const ecomFormat = {
+    from: baseline.ecommerceAnalysis?.format || null,
+    to: current.ecommerceAnalysis?.format || null,
+    fromPath: baseline.ecommerceAnalysis?.formatPath || null,
+    toPath: current.ecommerceAnalysis?.formatPath || null,
+  };
+
+  return { trackers, cookies, consentMode, sst, ecomFormat };
+}
+
+/**
+ * Regressions: changes that indicate broken consent or broken tracking.
+ */
+function findRegressions(diff) {
+  const regressions = [];
+  for (const [phase, d] of Object.entries(diff.trackers)) {
+    if (phase === 'Pre-Consent' || phase === 'Post-Reject') {
+      if (d.added.length) regressions.push(`Neue Tracker ${phase}: ${d.added.join(', ')}`);
+    } else if (d.removed.length) {
+      regressions.push(`Tracker fehlen ${phase}: ${d.removed.join(', ')}`);
+    }
+  }
+  for (const phase of ['Pre-Consent', 'Post-Reject']) {
+    const added = diff.cookies[phase].added;
+    if (added.length) regressions.push(`Neue Cookies ${phase}: ${added.join(', ')}`);
+  }
+  const { status } = diff.consentMode;
+  if (status.from === 'update_ok' && status.to !== 'update_ok') {
+    regressions.push(`Consent Mode Update verloren: ${status.from} → ${status.to}`);
+  }
+  if (diff.consentMode.v2Missing.added.length) {
+    regressions.push(`Consent Mode v2 Signale fehlen: ${diff.consentMode.v2Missing.added.join(', ')}`);
+  }
+  if (diff.ecomFormat.from && diff.ecomFormat.from !== diff.ecomFormat.to) {
+    regressions.push(`E-Commerce-Format geaendert: ${diff.ecomFormat.from} → ${diff.ecomFormat.to || 'keins'}`);
+  }
+  return regressions;
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+function generateDiffReport(baseline, current, diff, regressions, meta) {
+  const lines = [];
+  const ln = (s = '') => lines.push(s);
+  const list = (items) => (items.length ? items.join(', ') : '–');
+
+  ln(`# Audit-Diff: ${current.url}`);
+  ln();
+  ln(`| | Baseline | Aktuell |`);
+  ln(`|---|---|---|`);
+  ln(`| Datei | \`${meta.baselineFile}\` | \`${meta.currentFile}\` |`);
+  ln(`| Datum | ${baseline.timestamp || baseline.generatedAt} | ${current.timestamp || current.generatedAt} |`);
+  ln(`| CMP | ${baseline.cmpName} | ${current.cmpName} |`);
+  ln();
+
+  ln(`## Zusammenfassung`);
+  ln();
+  if (regressions.length === 0) {
+    ln(`✓ Keine Regressionen gefunden.`);
+  } else {
+    ln(`**⚠️ ${regressions.length} Regression${regressions.length > 1 ? 'en' : ''}:**`);
+    ln();
+    for (const r of regressions) ln(`- ${r}`);
+  }
+  ln();
+
+  ln(`## Tracker`);
+  ln();
+  ln(`| Phase | Neu | Entfernt |`);
+  ln(`|-------|-----|----------|`);
+  for (const [phase, d] of Object.entries(diff.trackers)) {
+    if (!d.added.length && !d.removed.length) continue;
+    ln(`| ${phase} | ${list(d.added)} | ${list(d.removed)} |`);
+  }
+  if (Object.values(diff.trackers).every(d => !d.added.length && !d.removed.length)) ln(`| – | _keine Aenderungen_ | |`);
+  ln();
+
+  ln(`## Consent Mode`);
+  ln();
+  ln(`| | Baseline | Aktuell |`);
+  ln(`|---|---|---|`);
+  const { status } = diff.consentMode;
+  ln(status.from !== status.to ? `| **Status** | **${status.from || '–'}** | **${status.to || '–'}** |` : `| Status | ${status.from || '–'} | ${status.to || '–'} |`);
+  for (const v of diff.consentMode.values) {
+    const from = v.from.join(', ') || '–';
+    const to = v.to.join(', ') || '–';
+    ln(from !== to ? `| **${v.label}** | **${from}** | **${to}** |` : `| ${v.label} | ${from} | ${to} |`);
+  }
+  ln();
+  if (diff.consentMode.v2Missing.added.length) ln(`⚠️ Neu fehlende v2-Signale: ${diff.consentMode.v2Missing.added.join(', ')}`);
+  if (diff.consentMode.v2Missing.removed.length) ln(`✓ Wieder gesetzte v2-Signale: ${diff.consentMode.v2Missing.removed.join(', ')}`);
+  if (diff.consentMode.v2Missing.added.length || diff.consentMode.v2Missing.removed.length) ln();
+
+  ln(`## Cookies`);
+  ln();
+  ln(`| Phase | Neu | Entfernt |`);
+  ln(`|-------|-----|----------|`);
+  for (const [phase, d] of Object.entries(diff.cookies)) {
+    ln(`| ${phase} | ${list(d.added)} | ${list(d.removed)} |`);
+  }
+  ln();
+
+  ln(`## Server-Side Tagging`);
+  ln();
+  ln(`| | Neu | Entfernt |`);
+  ln(`|---|-----|----------|`);
+  ln(`| Loader | ${list(diff.sst.loaders.added)} | ${list(diff.sst.loaders.removed)} |`);
+  ln(`| Collect Endpoints | ${list(diff.sst.collectEndpoints.added)} | ${list(diff.sst.collectEndpoints.removed)} |`);
+  ln();
+
+  ln(`## E-Commerce-Format`);
+  ln();
+  const fmt = (format, path) => (format ? `${format}${['proprietary', 'ceddl', 'acdl'].includes(format) && path ? ` (\`${path}\`)` : ''}` : '–');
+  const fromFmt = fmt(diff.ecomFormat.from, diff.ecomFormat.fromPath);
+  const toFmt = fmt(diff.ecomFormat.to, diff.ecomFormat.toPath);
+  ln(fromFmt !== toFmt ? `**${fromFmt}** → **${toFmt}**` : `${fromFmt} (unveraendert)`);
+  ln();
+
+  return lines.join('\n');
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+function main() {
+  let pair;
+  if (baselineFlag) {
+    pair = { baseline: resolveReportPath(baselineFlag), current: resolveReportPath(currentFlag) };
+  } else {
+    if (!existsSync(reportDir)) throw new Error(`Projektverzeichnis ${reportDir} nicht gefunden`);
+    pair = findLatestPair(reportDir, hostFlag);
+    if (!pair) throw new Error(`Weniger als zwei Audit-JSONs${hostFlag ? ` fuer ${hostFlag}` : ''} in ${reportDir}`);
+  }
+
+  const baseline = loadAudit(pair.baseline);
+  const current = loadAudit(pair.current);
+
+  console.log(`\n=======================================`);
+  console.log(` Audit-Diff`);
+  console.log(` Baseline: ${basename(pair.baseline)}`);
+  console.log(` Aktuell : ${basename(pair.current)}`);
+  console.log(`=======================================\n`);
+
+  if (baseline.url !== current.url) console.warn(`  WARNUNG: Unterschiedliche URLs (${baseline.url} / ${current.url})`);
+
+  const diff = buildAuditDiff(baseline, current);
+  const regressions = findRegressions(diff);
+
+  const report = generateDiffReport(baseline, current, diff, regressions, {
+    baselineFile: basename(pair.baseline),
+    currentFile: basename(pair.current),
+  });
+  const reportPath = resolve(dirname(pair.current), basename(pair.current).replace(/^audit-/, 'audit-diff-').replace(/\.json$/, '.md'));
+  writeFileSync(reportPath, report, 'utf-8');
+
+  if (regressions.length > 0) {
+    console.log(`  ${regressions.length} Regression(en):`);
+    for (const r of regressions) console.log(`    - ${r}`);
+    process.exitCode = 2;
+  } else {
+    console.log('  Keine Regressionen.');
+  }
+  console.log(`\n  Report: ${reportPath}\n`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('\n  FEHLER:', err.message);
+  process.exit(1);
+}
@@ -14,6 +14,15 @@
  *   --cmp         CMP name (skips auto-detection if provided)
  *   --disable-sw  Deregister service workers via CDP
  *   --ecom        Interactive E-Commerce mode (navigate manually in browser)
+ *   --headless    Run without visible browser and without any user prompts (CI mode)
+ *   --rules       Compliance rules file (default: reports/<project>/rules.json if present);
+ *                 exits with code 2 if any rule fails
+ *   --crawl       Number of additional internal pages (links + sitemap.xml) to check
+ *                 pre-consent, post-accept and post-reject
+ *   --max-cookie-days  Maximum allowed cookie lifetime in days (default: 396 = 13 months)
+ *   --datalayer   Additional data layer variable(s), comma-separated: custom GTM dataLayer
+ *                 names or object layers (e.g. pageData). adobeDataLayer, digitalData,
+ *                 utag_data, utag.data and GTM's l= parameter are detected automatically
  *
  * E-Commerce (--category activates the path):
  *   --category    Category page URL (relative or absolute)
@@ -27,6 +36,7 @@ import { chromium } from 'playwright';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
 import {
   showMessage, showConfirm,
   showStatusBar, updateStatusBar, enableCMPSelect, showCMPOverride, removeStatusBar,
@@ -50,6 +60,16 @@ const disableSW = has('--disable-sw');
 const ecomInteractive = has('--ecom');
 const noPayloadAnalysis = has('--no-payload-analysis');
 const exportHAR = has('--har');
+const headless = has('--headless');
+const rulesFlag = get('--rules');
+const crawlFlag = get('--crawl');
+const crawlLimit = crawlFlag ? parseInt(crawlFlag, 10) : 0;
+const maxCookieDaysFlag = get('--max-cookie-days');
+const maxCookieDays = maxCookieDaysFlag ? parseInt(maxCookieDaysFlag, 10) : 396;
+const dataLayerFlag = get('--datalayer');
+const extraDataLayers = dataLayerFlag
+  ? dataLayerFlag.split(',').map(n => n.trim()).filter(Boolean)
+  : [];
 
 // E-Commerce (fix Git Bash path mangling for relative URLs)
 const categoryUrl  = fixMangledPath(get('--category'), '--category');
@@ -57,13 +77,63 @@ const productUrl   = fixMangledPath(get('--product'), '--product');
 const addToCartSel = get('--add-to-cart');
 const viewCartUrl  = fixMangledPath(get('--view-cart'), '--view-cart');
 const checkoutUrl  = fixMangledPath(get('--checkout'), '--checkout');
+const purchaseUrl  = fixMangledPath(get('--purchase'), '--purchase');
+const purchaseSubmitSel = get('--purchase-submit');
+const flowFlag = get('--flow');
+const replayFlow = has('--replay');
+
+// Form test (synthetic identity, Enhanced Conversions / Advanced Matching)
+const formUrl      = fixMangledPath(get('--form'), '--form');
+const formSelector = get('--form-selector');
+const formSubmitSel = get('--form-submit');
 
 if (!url || !project) {
   console.error('Usage: node audit.js --url <url> --project <name> [--cmp <name>] [--disable-sw]');
   console.error('  E-Commerce: [--category <url>] [--product <url>] [--add-to-cart <sel>] [--view-cart <url>] [--checkout <url>]');
-  console.error('  Interaktiv: [--ecom] (E-Commerce-Pfad manuell im Browser durchlaufen)');
+  console.error('              [--purchase <url>] (Bestellbestaetigung) [--purchase-submit <sel>] (Bestell-Button, Bestellung wird abgefangen)');
+  console.error('  Flow:       [--flow <file>] (Schritte mit Selektoren und Checkpoints, ersetzt die E-Commerce-Flags)');
+  console.error('              [--replay] (mit --ecom aufgezeichneten Flow reports/<project>/ecom-flow.json abspielen, Kauf ueber --purchase)');
+  console.error('  Interaktiv: [--ecom] (E-Commerce-Pfad manuell im Browser durchlaufen, wird als Flow aufgezeichnet)');
   console.error('  Analyse: [--no-payload-analysis] (Deep Analysis deaktivieren)');
   console.error('  Export:  [--har] (HAR-Datei mit allen Requests exportieren)');
+  console.error('  CI:      [--headless] (ohne sichtbaren Browser, keine Benutzer-Interaktion)');
+  console.error('           [--rules <file>] (Compliance-Regeln, Exit-Code 2 bei FAIL)');
+  console.error('  Crawl:   [--crawl <n>] (n weitere interne Seiten in allen Consent-Phasen pruefen)');
+  console.error('  Cookies: [--max-cookie-days <n>] (maximal erlaubte Cookie-Laufzeit, Standard 396 = 13 Monate)');
+  console.error('  DL:      [--datalayer <name,...>] (weitere Data Layer, z.B. eigener GTM-dataLayer-Name)');
+  console.error('  Formular: [--form <url>] [--form-selector <sel>] [--form-submit <sel>] (Test-Identitaet eintragen und absenden)');
+  process.exit(1);
+}
+
+if (crawlFlag && !(crawlLimit > 0)) {
+  console.error(`--crawl erwartet eine positive Seitenanzahl (erhalten: "${crawlFlag}").`);
+  process.exit(1);
+}
+
+if (maxCookieDaysFlag && !(maxCookieDays > 0)) {
+  console.error(`--max-cookie-days erwartet eine positive Anzahl Tage (erhalten: "${maxCookieDaysFlag}").`);
+  process.exit(1);
+}
+
+if (purchaseSubmitSel && !purchaseUrl) {
+  console.error('--purchase-submit erfordert --purchase <url> (Bestellbestaetigungsseite).');
+  process.exit(1);
+}
+
+if (flowFlag && replayFlow) {
+  console.error('--replay spielt reports/<project>/ecom-flow.json ab und ist nicht mit --flow kombinierbar.');
+  process.exit(1);
+}
+
+if ((flowFlag || replayFlow) && (ecomInteractive || categoryUrl || productUrl || addToCartSel || viewCartUrl || checkoutUrl || (flowFlag && purchaseUrl))) {
+  console.error(flowFlag
+    ? '--flow ersetzt --ecom und die E-Commerce-Flags (--category, --product, --add-to-cart, --view-cart, --checkout, --purchase).'
+    : '--replay ersetzt --ecom und die E-Commerce-Flags (--category, --product, --add-to-cart, --view-cart, --checkout); nur --purchase ist kombinierbar.');
+  process.exit(1);
+}
+
+if (headless && ecomInteractive) {
+  console.error('--ecom erfordert Benutzer-Interaktion und kann nicht mit --headless kombiniert werden.');
   process.exit(1);
 }
 
@@ -94,6 +164,85 @@ function fixMangledPath(value, flagName) {
 const VENDORS_PATH = resolve(__dirname, 'tracking-vendors.json');
 const VENDORS = JSON.parse(readFileSync(VENDORS_PATH, 'utf-8'));
 
+// ── Cookie Library ───────────────────────────────────────────────────────────
+
+const COOKIE_LIBRARY_PATH = resolve(__dirname, 'cookie-library.json');
+const COOKIE_LIBRARY = JSON.parse(readFileSync(COOKIE_LIBRARY_PATH, 'utf-8'));
+
+// Exact names first, then wildcard patterns (longest = most specific first)
+const COOKIE_PATTERNS = Object.keys(COOKIE_LIBRARY)
+  .filter(p => p.includes('*'))
+  .sort((a, b) => b.length - a.length);
+
+/**
+ * Look up a cookie name in cookie-library.json.
+ * Returns { pattern, vendor, product, category, lifetimeDays } or null.
+ */
+function classifyCookie(name) {
+  if (Object.hasOwn(COOKIE_LIBRARY, name) && !name.includes('*')) return { pattern: name, ...COOKIE_LIBRARY[name] };
+  const pattern = COOKIE_PATTERNS.find(p => matchesWildcard(name, p));
+  return pattern ? { pattern, ...COOKIE_LIBRARY[pattern] } : null;
+}
+
+/**
+ * Classified cookies per category for the phases that must stay clean:
+ * everything set before consent and everything new after reject.
+ */
+function analyzeCookieCategories(data) {
+  const byCategory = (cookies) => {
+    const result = { marketing: [], analytics: [], functional: [], necessary: [], unknown: [] };
+    for (const c of cookies || []) {
+      const category = classifyCookie(c.name)?.category || 'unknown';
+      if (!result[category].includes(c.name)) result[category].push(c.name);
+    }
+    return result;
+  };
+  return {
+    preConsent: byCategory(data.preConsent?.cookies),
+    postReject: byCategory(data.postReject?.cookiesDiff),
+  };
+}
+
+/**
+ * Cookie attribute checks across all phases (first appearance per name+domain):
+ * - lifetime above maxDays (e.g. _ga with 2 years when 13 months are allowed)
+ * - third-party cookies without SameSite=None; Secure
+ * - existing cookies whose value changed after reject (identifier rewritten)
+ */
+function analyzeCookieCompliance(data, maxDays) {
+  const siteDomain = getSiteDomain(data.url);
+  const sources = [
+    ['Pre-Consent', data.preConsent?.cookies],
+    ['Post-Accept', data.postAccept?.cookiesDiff],
+    ...(data.ecommerce || []).map(s => [`E-Commerce: ${s.name}`, s.cookiesDiff]),
+    ['Post-Reject', data.postReject?.cookiesDiff],
+  ];
+  const seen = new Set();
+  const tooLong = [];
+  const insecureThirdParty = [];
+  for (const [phase, cookies] of sources) {
+    for (const c of cookies || []) {
+      const key = `${c.name}||${c.domain}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (c.lifetimeDays !== null && c.lifetimeDays !== undefined && c.lifetimeDays > maxDays) {
+        tooLong.push({ name: c.name, domain: c.domain, phase, lifetimeDays: c.lifetimeDays, typicalDays: classifyCookie(c.name)?.lifetimeDays ?? null });
+      }
+      const domain = c.domain.replace(/^\./, '');
+      const isThirdParty = siteDomain && domain !== siteDomain && !domain.endsWith('.' + siteDomain);
+      if (isThirdParty && (c.sameSite !== 'None' || !c.secure)) {
+        insecureThirdParty.push({ name: c.name, domain: c.domain, phase, sameSite: c.sameSite, secure: c.secure });
+      }
+    }
+  }
+
+  const changedAfterReject = (data.postReject?.changes?.cookies?.changed || [])
+    .map(c => ({ ...c, category: classifyCookie(c.name)?.category || null }));
+
+  return { maxDays, tooLong, insecureThirdParty, changedAfterReject };
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 function loadLibrary() {
@@ -148,6 +297,15 @@ function getSiteDomain(urlStr) {
   return parts.length >= 2 ? parts.slice(-2).join('.') : h;
 }
 
+/**
+ * Record a non-blocking audit finding (e.g. failed consent click in headless mode).
+ * Findings are listed in the report instead of interrupting the run.
+ */
+function addFinding(findings, phase, message) {
+  findings.push({ phase, message });
+  console.warn(`  FINDING [${phase}]: ${message}`);
+}
+
 
 /**
  * Detects Stape custom loader transport: Query params with Base64-encoded
@@ -348,6 +506,20 @@ function analyzeRequestPayloads(fullRequests, cookies, siteHost, deepAnalysis) {
   if (!deepAnalysis.features.metaSetup) {
     deepAnalysis.features.metaSetup = detectMetaSetup(allRequests, cookies, siteHost);
   }
+
+  // 8. TikTok, Pinterest, LinkedIn, Microsoft Ads payloads (aggregated per product)
+  for (const hit of decodeAdPixelHits(allRequests, siteHost)) {
+    let pixel = deepAnalysis.features.adPixels.find(p => p.product === hit.product);
+    if (!pixel) {
+      pixel = { vendor: hit.vendor, product: hit.product, tagIds: [], events: [], ecommerceEvents: 0, hashedFields: [] };
+      deepAnalysis.features.adPixels.push(pixel);
+    }
+    const add = (list, val) => { if (val && !list.includes(val)) list.push(val); };
+    add(pixel.tagIds, hit.tagId);
+    add(pixel.events, hit.event);
+    for (const f of hit.hashedFields) add(pixel.hashedFields, f);
+    if (hit.value !== null || hit.contentIds.length > 0) pixel.ecommerceEvents++;
+  }
 }
 
 /**
@@ -484,6 +656,7 @@ function extractConsentModeParams(requests) {
           url: truncate(reqUrl, 120),
           gcs: gcs || '-',
           gcd: gcd || '-',
+          gcdSignals: decodeGcd(gcd),
           event: en || null,
         });
       }
@@ -668,10 +841,11 @@ function hasSSTDetected(sstData) {
 
 const EXPECTED_EVENTS = {
   'Kategorie-Seite': ['view_item_list', 'view_product_list', 'productList', 'impressions'],
-  'Produkt-Seite': ['view_item', 'view_product', 'detail', 'productDetail'],
-  'Add-to-Cart': ['add_to_cart', 'addToCart', 'added_to_cart', 'add'],
-  'Warenkorb': ['view_cart', 'cart', 'basket'],
-  'Checkout': ['begin_checkout', 'checkout', 'checkoutStep'],
+  'Produkt-Seite': ['view_item', 'view_product', 'detail', 'productDetail', 'commerce.productViews', 'prodView'],
+  'Add-to-Cart': ['add_to_cart', 'addToCart', 'added_to_cart', 'add', 'commerce.productListAdds', 'scAdd'],
+  'Warenkorb': ['view_cart', 'cart', 'basket', 'commerce.productListViews', 'scView'],
+  'Checkout': ['begin_checkout', 'checkout', 'checkoutStep', 'commerce.checkouts', 'scCheckout'],
+  'Kauf': ['purchase', 'transaction', 'orderComplete', 'commerce.purchases'],
 };
 
 /**
@@ -718,7 +892,38 @@ function findProductArray(obj, maxDepth, currentPath = '') {
 }
 
 /**
- * Detect E-Commerce data format in a dataLayer entry.
+ * W3C CEDDL product/item ({ productInfo, category, price, quantity }) to flat keys.
+ */
+function flattenCEDDLProduct(item) {
+  const info = item.productInfo || {};
+  return {
+    id: info.productID ?? info.sku,
+    sku: info.sku,
+    name: info.productName,
+    brand: info.manufacturer ?? info.brand,
+    category: item.category?.primaryCategory,
+    price: item.price?.basePrice ?? item.price?.priceWithTax ?? info.price,
+    quantity: item.quantity,
+  };
+}
+
+/**
+ * Adobe Client Data Layer product: AEM Core Components ("xdm:SKU", "dc:title")
+ * or XDM productListItems ({ SKU, name, priceTotal }) to flat keys.
+ */
+function flattenACDLProduct(item) {
+  return {
+    id: item['xdm:SKU'] ?? item.SKU ?? item.sku ?? item.id,
+    name: item['dc:title'] ?? item.name,
+    price: item['xdm:listPrice'] ?? item.priceTotal ?? item.price,
+    category: item['xdm:categories']?.[0] ?? item.category,
+    quantity: item.quantity,
+  };
+}
+
+/**
+ * Detect E-Commerce data format in a data layer entry (GTM dataLayer, adobeDataLayer)
+ * or an object layer snapshot (digitalData).
  * Returns { format, products, event, path } or null.
  */
 function detectEcomFormat(dlEntry) {
@@ -742,6 +947,30 @@ function detectEcomFormat(dlEntry) {
     }
   }
 
+  // W3C CEDDL (digitalData): product[], cart.item[], transaction.item[] with productInfo
+  for (const path of ['transaction.item', 'cart.item', 'product']) {
+    const list = path.split('.').reduce((obj, key) => obj?.[key], dlEntry);
+    if (Array.isArray(list) && list.some(p => p && p.productInfo)) {
+      const lastEvent = Array.isArray(dlEntry.event) ? dlEntry.event[dlEntry.event.length - 1]?.eventInfo?.eventName : null;
+      return { format: 'ceddl', products: list.filter(p => p && p.productInfo).map(flattenCEDDLProduct), event: lastEvent || null, path };
+    }
+  }
+
+  // Adobe Client Data Layer: XDM productListItems[] or AEM component map product: { id: {...} }
+  if (typeof dlEntry.event === 'string' || dlEntry.eventInfo) {
+    const event = typeof dlEntry.event === 'string' ? dlEntry.event : null;
+    const xdmItems = dlEntry.productListItems || dlEntry.xdm?.productListItems;
+    if (Array.isArray(xdmItems) && xdmItems.length > 0) {
+      return { format: 'acdl', products: xdmItems.map(flattenACDLProduct), event, path: dlEntry.productListItems ? 'productListItems' : 'xdm.productListItems' };
+    }
+    if (dlEntry.product && typeof dlEntry.product === 'object' && !Array.isArray(dlEntry.product)) {
+      const components = Object.values(dlEntry.product).filter(p => p && typeof p === 'object' && (p['xdm:SKU'] || p['dc:title']));
+      if (components.length > 0) {
+        return { format: 'acdl', products: components.map(flattenACDLProduct), event, path: 'product' };
+      }
+    }
+  }
+
   // Proprietary: recursive scan up to depth 4 (catches value.data.products etc.)
   const found = findProductArray(dlEntry, 4);
   if (found) {
@@ -786,7 +1015,10 @@ function analyzeEcommerceProducts(ecomSteps) {
     let format = null;
     let formatPath = null;
 
-    for (const entry of step.dataLayerDiff) {
+    // GTM dataLayer entries, then other data layers (adobeDataLayer entries, digitalData snapshot)
+    const sourceEntries = Object.values(step.dataLayerSources || {})
+      .flatMap(source => (Array.isArray(source) ? source : [source]));
+    for (const entry of [...step.dataLayerDiff, ...sourceEntries]) {
       const detected = detectEcomFormat(entry);
       if (detected) {
         format = format || detected.format;
@@ -875,17 +1107,23 @@ function analyzeEcommerceProducts(ecomSteps) {
 }
 
 /**
- * Collect cookies from a browser context.
+ * Collect cookies from a browser context with all attributes.
+ * lifetimeDays: remaining lifetime at collection time, null for session cookies.
  */
 async function collectCookies(context) {
   const cookies = await context.cookies();
+  const now = Date.now();
   return cookies.map(c => ({
     name: c.name,
     domain: c.domain,
-    value: truncate(c.value),
+    path: c.path,
+    value: c.value,
+    expires: c.expires,
+    lifetimeDays: c.expires > 0 ? Math.round((c.expires * 1000 - now) / 86400000) : null,
     httpOnly: c.httpOnly,
     secure: c.secure,
     sameSite: c.sameSite,
+    partitionKey: c.partitionKey || null,
   }));
 }
 
@@ -907,6 +1145,69 @@ async function collectLocalStorage(page) {
   }
 }
 
+/**
+ * Collect sessionStorage, IndexedDB and Cache Storage from a page.
+ * IndexedDB is keyed by "<database>/<objectStore>", Cache Storage by cache name;
+ * values summarize entry count and the first keys/URLs so the maps diff like localStorage.
+ */
+async function collectBrowserStorage(page) {
+  try {
+    return await page.evaluate(async () => {
+      const SAMPLE = 5;
+      const summarize = (count, samples) => `${count} Eintraege${samples.length ? ` (${samples.join(', ')}${count > samples.length ? ', …' : ''})` : ''}`;
+      const withTimeout = (promise, ms) => Promise.race([promise, new Promise(r => setTimeout(() => r(null), ms))]);
+
+      const sessionItems = {};
+      for (let i = 0; i < sessionStorage.length; i++) {
+        const key = sessionStorage.key(i);
+        sessionItems[key] = sessionStorage.getItem(key);
+      }
+
+      const idbItems = {};
+      if (indexedDB.databases) {
+        const dbs = (await withTimeout(indexedDB.databases(), 3000)) || [];
+        for (const { name } of dbs) {
+          if (!name) continue;
+          const db = await withTimeout(new Promise(r => {
+            const req = indexedDB.open(name);
+            req.onsuccess = () => r(req.result);
+            req.onerror = () => r(null);
+            req.onblocked = () => r(null);
+          }), 3000);
+          if (!db) { idbItems[name] = 'nicht lesbar'; continue; }
+          const stores = [...db.objectStoreNames];
+          if (!stores.length) idbItems[name] = '0 Object Stores';
+          for (const store of stores) {
+            const info = await withTimeout(new Promise(r => {
+              try {
+                const os = db.transaction(store, 'readonly').objectStore(store);
+                const countReq = os.count();
+                const keysReq = os.getAllKeys(null, SAMPLE);
+                keysReq.onsuccess = () => r({ count: countReq.result, keys: keysReq.result.map(k => JSON.stringify(k)) });
+                keysReq.onerror = () => r(null);
+              } catch { r(null); }
+            }), 3000);
+            idbItems[`${name}/${store}`] = info ? summarize(info.count, info.keys) : 'nicht lesbar';
+          }
+          db.close();
+        }
+      }
+
+      const cacheItems = {};
+      if (self.caches) {
+        for (const cacheName of (await withTimeout(caches.keys(), 3000)) || []) {
+          const requests = (await withTimeout(caches.open(cacheName).then(c => c.keys()), 3000)) || [];
+          cacheItems[cacheName] = summarize(requests.length, requests.slice(0, SAMPLE).map(r => r.url));
+        }
+      }
+
+      return { sessionStorage: sessionItems, indexedDB: idbItems, cacheStorage: cacheItems };
+    });
+  } catch {
+    return { sessionStorage: {}, indexedDB: {}, cacheStorage: {} };
+  }
+}
+
 /**
  * Diff cookies: return only those in `after` that are not in `before` (by name+domain).
  */
@@ -915,8 +1216,19 @@ function diffCookies(before, after) {
   return after.filter(c => !beforeKeys.has(`${c.name}||${c.domain}`));
 }
 
+/**
+ * Cookies present in both snapshots (by name+domain) whose value changed.
+ */
+function diffCookieValues(before, after) {
+  const beforeMap = new Map(before.map(c => [`${c.name}||${c.domain}`, c]));
+  return after
+    .filter(c => beforeMap.has(`${c.name}||${c.domain}`) && beforeMap.get(`${c.name}||${c.domain}`).value !== c.value)
+    .map(c => ({ name: c.name, domain: c.domain, before: beforeMap.get(`${c.name}||${c.domain}`).value, after: c.value }));
+}
+
 /**
  * Diff localStorage: return only those keys in `after` that are not in `before`.
+ * Also used for the sessionStorage, IndexedDB and Cache Storage maps.
  */
 function diffLocalStorage(before, after) {
   const diff = {};
@@ -929,21 +1241,264 @@ function diffLocalStorage(before, after) {
 }
 
 /**
- * Collect dataLayer snapshot from page.
+ * Diff all maps returned by collectBrowserStorage().
  */
-async function collectDataLayer(page) {
-  try {
-    return await page.evaluate(() => window.dataLayer || []);
-  } catch {
-    return [];
+function diffBrowserStorage(before, after) {
+  return {
+    sessionStorageDiff: diffLocalStorage(before.sessionStorage, after.sessionStorage),
+    indexedDBDiff: diffLocalStorage(before.indexedDB, after.indexedDB),
+    cacheStorageDiff: diffLocalStorage(before.cacheStorage, after.cacheStorage),
+  };
+}
+
+const VALUE_CHANGE_STORES = ['localStorage', 'sessionStorage', 'indexedDB', 'cacheStorage'];
+
+/**
+ * Cookies that exist in both snapshots with a different value, and cookies that disappeared.
+ */
+function diffCookieChanges(before, after) {
+  const afterKeys = new Set(after.map(c => `${c.name}||${c.domain}`));
+  return {
+    changed: diffCookieValues(before, after),
+    removed: before
+      .filter(c => !afterKeys.has(`${c.name}||${c.domain}`))
+      .map(c => ({ name: c.name, domain: c.domain, value: c.value })),
+  };
+}
+
+/**
+ * Keys of a storage map whose value changed, and keys that disappeared.
+ */
+function diffStorageValues(before, after) {
+  return {
+    changed: Object.entries(after)
+      .filter(([key, val]) => key in before && before[key] !== val)
+      .map(([key, val]) => ({ key, before: before[key], after: val })),
+    removed: Object.keys(before)
+      .filter(key => !(key in after))
+      .map(key => ({ key, value: before[key] })),
+  };
+}
+
+/**
+ * Changed and removed values between two snapshots ({ cookies, localStorage, ... }).
+ * Added entries are already covered by cookiesDiff / localStorageDiff etc.
+ * Stores missing in either snapshot are skipped.
+ */
+function diffValueChanges(before, after) {
+  const changes = {};
+  if (before.cookies && after.cookies) changes.cookies = diffCookieChanges(before.cookies, after.cookies);
+  for (const store of VALUE_CHANGE_STORES) {
+    if (before[store] && after[store]) changes[store] = diffStorageValues(before[store], after[store]);
+  }
+  return changes;
+}
+
+function logValueChanges(changes) {
+  const changed = [];
+  let removed = 0;
+  for (const [store, diff] of Object.entries(changes)) {
+    changed.push(...diff.changed.map(c => `${STORE_LABELS[store]} ${c.name || c.key}`));
+    removed += diff.removed.length;
+  }
+  if (changed.length > 0) console.log(`  Geaenderte Werte: ${changed.join(', ')}`);
+  if (removed > 0) console.log(`  Entfernte Eintraege: ${removed}`);
+}
+
+function logStorageDiff(diff) {
+  const parts = [
+    ['sessionStorage Keys', diff.sessionStorageDiff],
+    ['IndexedDB Stores', diff.indexedDBDiff],
+    ['Caches', diff.cacheStorageDiff],
+  ].filter(([, map]) => Object.keys(map).length > 0).map(([label, map]) => `${Object.keys(map).length} ${label}`);
+  if (parts.length > 0) console.log(`  Neu: ${parts.join(', ')}`);
+}
+
+// Data layers besides the GTM dataLayer: array layers are recorded live, object
+// layers (page state) are snapshotted at the end of each phase / step.
+const DATA_LAYER_ARRAY_SOURCES = ['adobeDataLayer'];
+const DATA_LAYER_OBJECT_SOURCES = ['digitalData', 'utag_data', 'utag.data'];
+
+/**
+ * Custom GTM dataLayer names from gtm.js / gtag/js loader URLs (`l=` parameter).
+ */
+function detectGtmLayerNames(urls) {
+  const names = new Set();
+  for (const u of urls) {
+    try {
+      const parsed = new URL(u);
+      if (!/\/(gtm\.js|gtag\/js)$/.test(parsed.pathname)) continue;
+      const l = parsed.searchParams.get('l');
+      if (l && l !== 'dataLayer' && /^[A-Za-z_$][\w$]*$/.test(l)) names.add(l);
+    } catch { /* invalid URL */ }
+  }
+  return [...names];
+}
+
+/**
+ * Runs in the page (init script or evaluate): wraps each named array layer in a Proxy
+ * so every appended entry is reported exactly once, no matter how often GTM or others
+ * wrap push(). Entries of a reassigned or truncated layer are flagged with reset.
+ * Must stay self-contained – it is serialized into the page.
+ * Init scripts run in every frame; only the top page's layers are recorded.
+ */
+function installDataLayerHooks(names) {
+  if (window.top !== window) return;
+  window.__auditHookedLayers = window.__auditHookedLayers || {};
+  const safeStringify = (value) => {
+    const seen = new WeakSet();
+    return JSON.stringify(value, (key, val) => {
+      if (typeof val === 'function') return undefined;
+      if (typeof Node !== 'undefined' && val instanceof Node) return `[${val.nodeName}]`;
+      if (val && typeof val === 'object') {
+        if (seen.has(val)) return '[Circular]';
+        seen.add(val);
+      }
+      return val;
+    }) ?? 'null';
+  };
+
+  for (const name of names) {
+    if (window.__auditHookedLayers[name]) continue;
+    let pendingReset = false;
+    let assigned = false;
+    const send = (item) => {
+      if (typeof item === 'function') return; // adobeDataLayer.push(fn) callbacks
+      try { window.__auditDataLayerPush(name, safeStringify(item), Date.now(), location.href, pendingReset); } catch { /* */ }
+      pendingReset = false;
+    };
+    const wrap = (arr) => new Proxy(arr, {
+      set(target, prop, value) {
+        if (prop === 'length' && value < target.length) pendingReset = true;
+        else if (typeof prop === 'string' && /^\d+$/.test(prop) && Number(prop) >= target.length) send(value);
+        target[prop] = value;
+        return true;
+      },
+    });
+
+    let current;
+    const assign = (value) => {
+      if (!Array.isArray(value) || value === current) { current = value; return; }
+      if (assigned) pendingReset = true;
+      assigned = true;
+      for (const item of value) send(item);
+      current = wrap(value);
+    };
+    try {
+      const existing = window[name];
+      Object.defineProperty(window, name, { configurable: true, get: () => current, set: assign });
+      if (existing !== undefined) assign(existing);
+      window.__auditHookedLayers[name] = true;
+    } catch { /* non-configurable global (var declaration) */ }
   }
 }
 
 /**
- * Diff dataLayer: entries in `after` that were not in `before` (by index, since dataLayer is append-only).
+ * Record every data layer push live via addInitScript (survives navigations and resets).
+ * layerNames are GTM dataLayers (entries()); adobeDataLayer is recorded alongside and
+ * returned by sources() together with snapshots of object layers (digitalData, utag.data).
+ *
+ * Events are tagged with the phase active at their page timestamp; switch phases with
+ * recorder.setPhase(name) right before the action that starts the phase.
+ */
+async function setupDataLayerRecorder(page, phase, layerNames = ['dataLayer']) {
+  const events = [];
+  const phases = [{ phase, start: Date.now() }];
+  const gtmLayers = new Set(layerNames);
+  const objectSources = [...new Set([...DATA_LAYER_OBJECT_SOURCES, ...layerNames.filter(n => n !== 'dataLayer')])];
+  const phaseAt = (timestamp) => {
+    for (let i = phases.length - 1; i > 0; i--) {
+      if (timestamp >= phases[i].start) return phases[i].phase;
+    }
+    return phases[0].phase;
+  };
+  const isIdentifier = (name) => /^[A-Za-z_$][\w$]*$/.test(name);
+
+  await page.exposeFunction('__auditDataLayerPush', (layer, json, timestamp, pageUrl, reset) => {
+    let data;
+    try { data = JSON.parse(json); } catch { return; }
+    events.push({ layer, phase: phaseAt(timestamp), timestamp, url: pageUrl, reset, data });
+  });
+  await page.addInitScript(installDataLayerHooks, [...gtmLayers, ...DATA_LAYER_ARRAY_SOURCES].filter(isIdentifier));
+
+  return {
+    setPhase(name) { phases.push({ phase: name, start: Date.now() }); },
+    /** Phase boundaries [{ phase, start }] in order, used for the timeline. */
+    phases() { return phases.map(p => ({ ...p })); },
+    /** Phase active at a Node timestamp (e.g. request startTime). */
+    phaseAt(timestamp) { return phaseAt(timestamp); },
+    /** GTM dataLayer names being recorded. */
+    layers() { return [...gtmLayers]; },
+    /** Start recording a GTM dataLayer found at runtime (current page and later navigations). */
+    async addLayer(name) {
+      if (gtmLayers.has(name) || !isIdentifier(name)) return;
+      gtmLayers.add(name);
+      await page.addInitScript(installDataLayerHooks, [name]);
+      try { await page.evaluate(installDataLayerHooks, [name]); } catch { /* page navigating */ }
+    },
+    /** GTM dataLayer entries of one phase, in push order. */
+    entries(name) { return this.events(name).filter(e => gtmLayers.has(e.layer)).map(e => e.data); },
+    /** Events of all recorded layers, optionally for one phase. */
+    events(name) {
+      return events
+        .filter(e => name === undefined || e.phase === name)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    },
+    /**
+     * Non-GTM data layers of one phase: entries of array layers pushed in the phase,
+     * current snapshot of object layers. Only sources that exist are included.
+     */
+    async sources(name) {
+      const result = {};
+      for (const e of this.events(name)) {
+        if (gtmLayers.has(e.layer)) continue;
+        (result[e.layer] = result[e.layer] || []).push(e.data);
+      }
+      try {
+        Object.assign(result, await page.evaluate((paths) => {
+          const snapshots = {};
+          for (const path of paths) {
+            const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+            if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+            const seen = new WeakSet();
+            try {
+              snapshots[path] = JSON.parse(JSON.stringify(value, (key, val) => {
+                if (typeof val === 'function') return undefined;
+                if (val && typeof val === 'object') {
+                  if (seen.has(val)) return '[Circular]';
+                  seen.add(val);
+                }
+                return val;
+              }));
+            } catch { /* not serializable */ }
+          }
+          return snapshots;
+        }, objectSources));
+      } catch { /* page closed or navigating */ }
+      return result;
+    },
+    /** Metadata log (without payload) for the JSON report. */
+    log() {
+      return this.events().map(e => ({
+        layer: e.layer,
+        phase: e.phase,
+        timestamp: e.timestamp,
+        url: e.url,
+        event: getDataLayerEventName(e.data),
+        ...(e.reset ? { reset: true } : {}),
+      }));
+    },
+  };
+}
+
+/**
+ * Event name of a dataLayer entry: `event` key or gtag() command (arguments object).
  */
-function diffDataLayer(before, after) {
-  return after.slice(before.length);
+function getDataLayerEventName(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  if (typeof entry.event === 'string') return entry.event;
+  if (typeof entry[0] === 'string') return [entry[0], typeof entry[1] === 'string' ? entry[1] : null].filter(Boolean).join(' ');
+  return null;
 }
 
 /**
@@ -988,6 +1543,7 @@ function setupRequestCollector(page, phase = 'unknown') {
       method: req.method(),
       headers: req.headers(),
       postData: req.method() === 'POST' ? (req.postData() || null) : null,
+      resourceType: req.resourceType(),
       phase,
       startTime: Date.now(),
     });
@@ -1053,7 +1609,7 @@ function setupResponseBodyCollector(page, siteHost) {
 async function setupCSPViolationCollector(page) {
   const violations = [];
   await page.exposeFunction('__reportCSPViolation', (blockedURI, violatedDirective, effectiveDirective) => {
-    violations.push({ blockedURI, violatedDirective, effectiveDirective });
+    violations.push({ blockedURI, violatedDirective, effectiveDirective, timestamp: Date.now() });
   });
   await page.addInitScript(() => {
     document.addEventListener('securitypolicyviolation', (e) => {
@@ -1069,6 +1625,68 @@ async function setupCSPViolationCollector(page) {
   return () => [...violations];
 }
 
+/**
+ * Records cookie writes with timestamps: document.cookie assignments in the top
+ * page (init script) and Set-Cookie response headers. Only names are kept – values come from collectCookies().
+ * Returns getter for accumulated writes.
+ */
+async function setupCookieWriteCollector(page) {
+  const writes = [];
+  await page.exposeFunction('__auditCookieWrite', (name, timestamp, pageUrl) => {
+    writes.push({ name, timestamp, url: pageUrl, source: 'document.cookie' });
+  });
+  await page.addInitScript(() => {
+    if (window.top !== window) return; // init scripts also run in iframes
+    const desc = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+    if (!desc || !desc.set) return;
+    Object.defineProperty(Document.prototype, 'cookie', {
+      configurable: true,
+      get() { return desc.get.call(this); },
+      set(value) {
+        try { window.__auditCookieWrite(String(value).split('=')[0].trim(), Date.now(), location.href); } catch { /* */ }
+        desc.set.call(this, value);
+      },
+    });
+  });
+  page.on('response', (resp) => {
+    const timestamp = Date.now();
+    resp.headerValue('set-cookie').then(header => {
+      if (!header) return;
+      for (const line of header.split('\n')) {
+        const name = line.split('=')[0].trim();
+        if (name) writes.push({ name, timestamp, url: resp.url(), source: 'Set-Cookie' });
+      }
+    }).catch(() => { /* page may close */ });
+  });
+  return () => [...writes];
+}
+
+/**
+ * Record values entered into top-page form fields (change events, all navigations).
+ * Used by the PII scan to find plaintext and hashed form values in tracking requests.
+ * Returns a getter: [{ value, type, name, timestamp, url }].
+ */
+async function setupFormInputCollector(page) {
+  const inputs = [];
+  await page.exposeFunction('__auditFormInput', (value, type, name, timestamp, pageUrl) => {
+    if (!inputs.some(i => i.value === value)) inputs.push({ value, type, name, timestamp, url: pageUrl });
+  });
+  await page.addInitScript(() => {
+    if (window.top !== window) return; // init scripts also run in iframes
+    const skip = ['hidden', 'checkbox', 'radio', 'submit', 'button', 'search', 'range', 'color', 'file'];
+    document.addEventListener('change', (e) => {
+      const el = e.target;
+      if (!el || !('value' in el) || !['INPUT', 'TEXTAREA'].includes(el.tagName)) return;
+      const type = (el.type || 'text').toLowerCase();
+      const value = String(el.value || '').trim();
+      if (skip.includes(type) || value.length < 3) return;
+      const name = [el.name, el.id, el.autocomplete].filter(Boolean).join(' ');
+      try { window.__auditFormInput(value, type, name, Date.now(), location.href); } catch { /* */ }
+    }, true);
+  });
+  return () => [...inputs];
+}
+
 /**
  * Wait for network to settle (approximation: wait fixed time after load).
  */
@@ -1129,7 +1747,7 @@ async function disambiguateCMP(page, matches) {
   return matches[0];
 }
 
-async function detectCMP(page, library) {
+async function detectCMP(page, library, { interactive = true } = {}) {
   // Erster Durchlauf: paralleler Schnell-Scan
   await updateStatusBar(page, 'Phase 0', 'Schnell-Scan...', 'Prüfe bekannte CMPs');
   let matches = await tryCMPSelectors(page, library);
@@ -1149,6 +1767,12 @@ async function detectCMP(page, library) {
     return result;
   }
 
+  // Headless: niemand kann auswählen – Aufrufer protokolliert das als Finding
+  if (!interactive) {
+    console.log('  Keine bekannte CMP gefunden (headless, keine Auswahl möglich)');
+    return null;
+  }
+
   // Keine bekannte CMP gefunden – Dropdown zur Auswahl anzeigen, sonst manueller Modus
   console.log('  Keine bekannte CMP gefunden – zeige CMP-Auswahl...');
   await updateStatusBar(page, 'Phase 0', 'CMP nicht erkannt', 'Bitte CMP wählen oder manueller Modus startet');
@@ -1165,14 +1789,68 @@ async function detectCMP(page, library) {
   return null;
 }
 
+// ── Consent Mode gcd Decoding ────────────────────────────────────────────────
+
+// Signal letters sit at index 2, 4, 6, 8 of the gcd value (e.g. 13r3r3r2r5l1)
+const GCD_SIGNALS = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+
+const GCD_LETTERS = {
+  l: { state: null, source: 'implicit', label: 'nicht gesetzt' },
+  p: { state: 'denied', source: 'default', label: 'denied (Default)' },
+  q: { state: 'denied', source: 'default+update', label: 'denied (Default + Update)' },
+  t: { state: 'granted', source: 'default', label: 'granted (Default)' },
+  r: { state: 'granted', source: 'default+update', label: 'denied → granted (Update)' },
+  m: { state: 'denied', source: 'update', label: 'denied (nur Update)' },
+  n: { state: 'granted', source: 'update', label: 'granted (nur Update)' },
+  u: { state: 'denied', source: 'default+update', label: 'granted → denied (Update)' },
+  v: { state: 'granted', source: 'default+update', label: 'granted (Default + Update)' },
+};
+
+/**
+ * Decode a gcd value into per-signal state.
+ * Returns { ad_storage: { letter, state, source, label }, ..., missingV2: [] }
+ * or null for missing / unparseable values.
+ */
+function decodeGcd(gcd) {
+  if (!gcd || gcd === '-' || gcd.length < 9) return null;
+  const signals = {};
+  GCD_SIGNALS.forEach((signal, i) => {
+    const letter = gcd[2 + i * 2];
+    const known = GCD_LETTERS[letter];
+    signals[signal] = known
+      ? { letter, ...known }
+      : { letter, state: null, source: 'unknown', label: `unbekannt (${letter})` };
+  });
+  // Consent Mode v2 requires explicit ad_user_data / ad_personalization signals
+  signals.missingV2 = ['ad_user_data', 'ad_personalization']
+    .filter(s => signals[s].source === 'implicit' || signals[s].source === 'unknown');
+  return signals;
+}
+
+/**
+ * Consent Mode v2 signals missing in any decoded gcd across phases / steps.
+ */
+function findConsentModeV2Gaps(reportData) {
+  const params = [
+    ...(reportData.preConsent.consentMode || []),
+    ...(reportData.postAccept.consentMode || []),
+    ...(reportData.ecommerce || []).flatMap(s => s.consentMode || []),
+  ];
+  const decoded = params.map(p => p.gcdSignals).filter(Boolean);
+  if (decoded.length === 0) return [];
+  return GCD_SIGNALS.filter(s => decoded.some(d => d.missingV2.includes(s)));
+}
+
 // ── Consent Mode Transition Analysis ─────────────────────────────────────────
 
 /**
  * Analyze Consent Mode gcs transition across phases.
- * Returns { preGcs, postGcs, ecomGcs[], status }
+ * Returns { preGcs, postGcs, postGcd, ecomGcs[], v2Missing[], status }
  *   status: 'update_ok' | 'no_update' | 'no_consent_mode' | 'ecom_stale'
  */
 function analyzeConsentModeTransition(reportData) {
+  const v2Missing = findConsentModeV2Gaps(reportData);
+
   const preParams = reportData.preConsent.consentMode || [];
   const postParams = reportData.postAccept.consentMode || [];
 
@@ -1199,98 +1877,1789 @@ function analyzeConsentModeTransition(reportData) {
 
   // No consent mode at all
   if (!preGcs || preGcs === '-') {
-    return { preGcs, postGcs, postGcd, ecomGcs, status: 'no_consent_mode' };
+    return { preGcs, postGcs, postGcd, ecomGcs, v2Missing, status: 'no_consent_mode' };
   }
 
   // Check if post-accept shows an update (G100 → G1xx where at least one digit changed)
   if (!postUpdate) {
-    return { preGcs, postGcs, postGcd, ecomGcs, status: 'no_update' };
+    return { preGcs, postGcs, postGcd, ecomGcs, v2Missing, status: 'no_update' };
   }
 
   // Post-accept updated – check E-Commerce steps for stale values
   const hasStaleEcom = ecomGcs.some(e => e.gcs === preGcs);
   if (hasStaleEcom) {
-    return { preGcs, postGcs, postGcd, ecomGcs, status: 'ecom_stale' };
+    return { preGcs, postGcs, postGcd, ecomGcs, v2Missing, status: 'ecom_stale' };
   }
 
-  return { preGcs, postGcs, postGcd, ecomGcs, status: 'update_ok' };
+  return { preGcs, postGcs, postGcd, ecomGcs, v2Missing, status: 'update_ok' };
 }
 
-// ── HAR Export ────────────────────────────────────────────────────────────────
+// ── IAB TCF v2.2 ──────────────────────────────────────────────────────────────
 
-function buildHAR(collectors, pageUrl) {
-  const allRequests = collectors.flatMap(c => c.full());
-  const entries = allRequests.map(r => ({
-    startedDateTime: new Date(r.startTime).toISOString(),
-    time: r.endTime ? r.endTime - r.startTime : 0,
-    request: {
-      method: r.method,
-      url: r.url,
-      httpVersion: 'HTTP/1.1',
-      headers: Object.entries(r.headers || {}).map(([name, value]) => ({ name, value })),
-      queryString: (() => {
-        try { return [...new URL(r.url).searchParams].map(([name, value]) => ({ name, value })); }
-        catch { return []; }
-      })(),
-      cookies: [],
-      headersSize: -1,
-      bodySize: r.postData ? r.postData.length : 0,
-      ...(r.postData ? { postData: { mimeType: 'application/x-www-form-urlencoded', text: r.postData } } : {}),
-    },
-    response: {
-      status: r.status || 0,
-      statusText: '',
-      httpVersion: 'HTTP/1.1',
-      headers: Object.entries(r.responseHeaders || {}).map(([name, value]) => ({ name, value })),
-      cookies: [],
-      content: { size: 0, mimeType: '' },
-      redirectURL: '',
-      headersSize: -1,
-      bodySize: -1,
-    },
-    cache: {},
-    timings: { send: 0, wait: r.endTime ? r.endTime - r.startTime : 0, receive: 0 },
-    _phase: r.phase,
-  }));
+/**
+ * Decode a base64url string (TC/GPP segments) into a string of '0'/'1'.
+ */
+function base64UrlToBits(str) {
+  const buf = Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  let bits = '';
+  for (const byte of buf) bits += byte.toString(2).padStart(8, '0');
+  return bits;
+}
 
+/**
+ * Sequential reader over a bit string. Throws when reading past the end.
+ */
+function createBitReader(bits) {
+  let pos = 0;
+  const take = (n) => {
+    if (pos + n > bits.length) throw new Error(`String zu kurz (Bit ${pos}+${n} von ${bits.length})`);
+    const chunk = bits.slice(pos, pos + n);
+    pos += n;
+    return chunk;
+  };
   return {
-    log: {
-      version: '1.2',
-      creator: { name: 'audit.js', version: '1.0' },
-      pages: [{
-        startedDateTime: entries.length > 0 ? entries[0].startedDateTime : new Date().toISOString(),
-        id: 'page_1',
-        title: `Audit: ${pageUrl}`,
-        pageTimings: {},
-      }],
-      entries,
-    },
+    int: (n) => parseInt(take(n), 2),
+    bool: () => take(1) === '1',
+    letters: (count) => Array.from({ length: count }, () => String.fromCharCode(65 + parseInt(take(6), 2))).join(''),
+    // Bitfield of n flags → list of 1-based IDs that are set
+    idSet: (n) => [...take(n)].flatMap((b, i) => (b === '1' ? [i + 1] : [])),
+    get remaining() { return bits.length - pos; },
   };
 }
 
-// ── Report Generation ─────────────────────────────────────────────────────────
+/**
+ * Read a TCF vendor section (consent or legitimate interest):
+ * MaxVendorId, then either a bitfield or range entries.
+ */
+function readTCFVendorSection(r) {
+  const maxVendorId = r.int(16);
+  const isRangeEncoding = r.bool();
+  if (!isRangeEncoding) return r.idSet(maxVendorId);
+
+  const ids = [];
+  const numEntries = r.int(12);
+  for (let i = 0; i < numEntries; i++) {
+    const isRange = r.bool();
+    const start = r.int(16);
+    const end = isRange ? r.int(16) : start;
+    for (let id = start; id <= end; id++) ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Decode the core segment of a TCF v2 TC string.
+ * Returns purposes, special features, vendor consents/LI and CMP metadata,
+ * or { error } for unsupported/invalid strings.
+ */
+function decodeTCString(tcString) {
+  if (!tcString) return null;
+  try {
+    const r = createBitReader(base64UrlToBits(tcString.split('.')[0]));
+    const version = r.int(6);
+    if (version !== 2) return { version, error: `TC-String Version ${version} wird nicht unterstützt` };
+
+    const decoded = {
+      version,
+      created: new Date(r.int(36) * 100).toISOString(),
+      lastUpdated: new Date(r.int(36) * 100).toISOString(),
+      cmpId: r.int(12),
+      cmpVersion: r.int(12),
+      consentScreen: r.int(6),
+      consentLanguage: r.letters(2),
+      vendorListVersion: r.int(12),
+      policyVersion: r.int(6),
+      isServiceSpecific: r.bool(),
+      useNonStandardTexts: r.bool(),
+      specialFeatureOptIns: r.idSet(12),
+      purposeConsents: r.idSet(24),
+      purposeLegitimateInterests: r.idSet(24),
+      purposeOneTreatment: r.bool(),
+      publisherCC: r.letters(2),
+    };
+    decoded.vendorConsents = readTCFVendorSection(r);
+    decoded.vendorLegitimateInterests = readTCFVendorSection(r);
+    return decoded;
+  } catch (err) {
+    return { error: `TC-String nicht dekodierbar: ${err.message}` };
+  }
+}
+
+/**
+ * Query getTCData in the page – via window.__tcfapi or, for CMPs that only serve the
+ * API from a frame, via postMessage to the __tcfapiLocator iframe – with the
+ * euconsent-v2 cookie as fallback, and decode the TC string.
+ * Returns null if the page has no TCF signals.
+ */
+async function collectTCData(page) {
+  let raw = null;
+  try {
+    raw = await page.evaluate(() => new Promise((resolve) => {
+      const m = document.cookie.match(/(?:^|;\s*)euconsent-v2=([^;]*)/);
+      const cookie = m && m[1] ? decodeURIComponent(m[1]) : null;
+      const fallback = () => resolve(cookie ? { source: 'cookie', tcString: cookie } : null);
+      const onData = (data, success) => {
+        clearTimeout(timer);
+        if (!success || !data) { fallback(); return; }
+        resolve({
+          source: 'api',
+          tcString: data.tcString || cookie,
+          gdprApplies: data.gdprApplies ?? null,
+          cmpId: data.cmpId ?? null,
+          cmpVersion: data.cmpVersion ?? null,
+          cmpStatus: data.cmpStatus || null,
+          eventStatus: data.eventStatus || null,
+        });
+      };
+
+      let locator = null;
+      try { locator = window.frames['__tcfapiLocator'] || null; } catch { /* cross-origin */ }
+      if (typeof window.__tcfapi !== 'function' && !locator) { fallback(); return; }
+      const timer = setTimeout(fallback, 3000);
+
+      if (typeof window.__tcfapi === 'function') {
+        try { window.__tcfapi('getTCData', 2, onData); } catch { clearTimeout(timer); fallback(); }
+        return;
+      }
+
+      // TCF v2 postMessage protocol: { __tcfapiCall } → { __tcfapiReturn } with the same callId
+      const callId = 'audit-' + Math.random().toString(36).slice(2);
+      window.addEventListener('message', function handler(event) {
+        let msg = event.data;
+        if (typeof msg === 'string') { try { msg = JSON.parse(msg); } catch { return; } }
+        const ret = msg && msg.__tcfapiReturn;
+        if (!ret || ret.callId !== callId) return;
+        window.removeEventListener('message', handler);
+        onData(ret.returnValue, ret.success);
+      });
+      try {
+        locator.postMessage({ __tcfapiCall: { command: 'getTCData', version: 2, parameter: null, callId } }, '*');
+      } catch { clearTimeout(timer); fallback(); }
+    }));
+  } catch { /* page navigated */ }
+
+  if (!raw) return null;
+  raw.decoded = decodeTCString(raw.tcString);
+  return raw;
+}
+
+/**
+ * Evaluate TCF data across consent phases:
+ * - does the post-reject TC string deny all purposes, special features and vendors?
+ * - do trackers with a known GVL ID (tcfVendorId) fire without vendor consent?
+ */
+function analyzeTCF(data) {
+  const phases = ['preConsent', 'postAccept', 'postReject'];
+  if (!phases.some(p => data[p]?.tcf)) return null;
+
+  const vendorChecks = [];
+  for (const phase of phases) {
+    const decoded = data[phase]?.tcf?.decoded;
+    const valid = decoded && !decoded.error;
+    for (const t of data[phase]?.trackers || []) {
+      const vendorId = t.key && VENDORS[t.key]?.tcfVendorId;
+      if (!vendorId) continue;
+      vendorChecks.push({
+        phase,
+        tracker: t.product || t.vendor,
+        vendorId,
+        consent: valid ? decoded.vendorConsents.includes(vendorId) : false,
+        legitimateInterest: valid ? decoded.vendorLegitimateInterests.includes(vendorId) : false,
+      });
+    }
+  }
+
+  let reject = null;
+  const rejectDecoded = data.postReject?.tcf?.decoded;
+  if (rejectDecoded && !rejectDecoded.error) {
+    reject = {
+      deniesAll: rejectDecoded.purposeConsents.length === 0 &&
+                 rejectDecoded.specialFeatureOptIns.length === 0 &&
+                 rejectDecoded.vendorConsents.length === 0,
+      purposeConsents: rejectDecoded.purposeConsents,
+      specialFeatureOptIns: rejectDecoded.specialFeatureOptIns,
+      vendorConsentCount: rejectDecoded.vendorConsents.length,
+      legitimateInterestPurposes: rejectDecoded.purposeLegitimateInterests,
+    };
+  }
+
+  return {
+    reject,
+    vendorChecks,
+    vendorsWithoutConsent: vendorChecks.filter(v => !v.consent),
+  };
+}
+
+// ── GA4 Hit Decoding ──────────────────────────────────────────────────────────
+
+// Two-letter item keys in pr1=id123~nmShoe~pr59.9 (k0/v0 = custom item parameter pairs)
+const GA4_ITEM_KEYS = {
+  id: 'item_id', nm: 'item_name', af: 'affiliation', cp: 'coupon', ds: 'discount', lp: 'index',
+  br: 'item_brand', ca: 'item_category', c2: 'item_category2', c3: 'item_category3',
+  c4: 'item_category4', c5: 'item_category5', va: 'item_variant', pr: 'price', qt: 'quantity',
+  ln: 'item_list_name', li: 'item_list_id', lo: 'location_id',
+  pi: 'promotion_id', pn: 'promotion_name', cn: 'creative_name', cs: 'creative_slot',
+};
+const GA4_NUMERIC_ITEM_KEYS = new Set(['pr', 'qt', 'ds', 'lp']);
+
+function decodeGA4Item(value) {
+  const item = {};
+  const custom = {};
+  for (const part of value.split('~')) {
+    const key = part.slice(0, 2);
+    const val = part.slice(2);
+    const customMatch = key.match(/^([kv])(\d)$/);
+    if (customMatch) {
+      custom[customMatch[2]] = { ...custom[customMatch[2]], [customMatch[1]]: val };
+    } else if (key) {
+      item[GA4_ITEM_KEYS[key] || key] = GA4_NUMERIC_ITEM_KEYS.has(key) && val !== '' && !isNaN(val) ? Number(val) : val;
+    }
+  }
+  for (const c of Object.values(custom)) {
+    if (c.k) item[c.k] = c.v ?? null;
+  }
+  return item;
+}
+
+/**
+ * One GA4 event from merged hit parameters (URL params + one body line).
+ */
+function buildGA4Event(p, host, timestamp) {
+  const params = {};
+  const userProps = {};
+  const items = [];
+  for (const [key, val] of Object.entries(p)) {
+    if (key.startsWith('ep.')) params[key.slice(3)] = val;
+    else if (key.startsWith('epn.')) params[key.slice(4)] = Number(val);
+    else if (key.startsWith('up.')) userProps[key.slice(3)] = val;
+    else if (key.startsWith('upn.')) userProps[key.slice(4)] = Number(val);
+    else if (/^pr\d+$/.test(key)) items[Number(key.slice(2)) - 1] = decodeGA4Item(val);
+  }
+  if (p.cu) params.currency = p.cu;
+
+  return {
+    measurementId: p.tid || null,
+    event: p.en,
+    params,
+    userProps,
+    items: items.filter(Boolean),
+    clientId: p.cid || null,
+    sessionId: p.sid || null,
+    userId: p.uid || null,
+    pageLocation: p.dl || null,
+    pageTitle: p.dt || null,
+    consent: { gcs: p.gcs || null, gcd: p.gcd || null, npa: p.npa ?? null, dma: p.dma ?? null },
+    sessionStart: p._ss !== undefined,
+    firstVisit: p._fv !== undefined,
+    host,
+    timestamp,
+  };
+}
+
+/**
+ * Decode a GA4 /g/collect request (Google or first-party SST endpoint) into events.
+ * Batched POST bodies carry one event per line; URL parameters are shared by all lines.
+ */
+function decodeGA4Request(req) {
+  let u;
+  try { u = new URL(req.url); } catch { return []; }
+  if (!u.pathname.endsWith('/g/collect')) return [];
+  const shared = Object.fromEntries(u.searchParams);
+  if (shared.v !== '2' && !/^G-/.test(shared.tid || '')) return [];
+
+  const lines = (req.postData || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const hits = lines.length > 0
+    ? lines.map(line => ({ ...shared, ...Object.fromEntries(new URLSearchParams(line)) }))
+    : [shared];
+  return hits.filter(h => h.en).map(h => buildGA4Event(h, u.hostname, req.startTime));
+}
+
+function decodeGA4Hits(requests) {
+  return requests.flatMap(decodeGA4Request);
+}
+
+// ── Meta Pixel Decoding ──────────────────────────────────────────────────────
+
+// Expected Meta standard event per E-Commerce step
+const META_STEP_EVENTS = {
+  'Produkt-Seite': 'ViewContent',
+  'Add-to-Cart': 'AddToCart',
+  'Checkout': 'InitiateCheckout',
+  'Kauf': 'Purchase',
+};
+
+// Custom data a standard event needs for catalog matching and value optimization
+const META_REQUIRED_PARAMS = {
+  ViewContent: ['content_ids'],
+  AddToCart: ['content_ids', 'value', 'currency'],
+  InitiateCheckout: ['value', 'currency'],
+  AddPaymentInfo: ['value', 'currency'],
+  Purchase: ['content_ids', 'value', 'currency'],
+};
+
+/**
+ * Decode a Meta Pixel request (facebook.com/tr, GET or form-encoded POST).
+ * cd[...] custom data is JSON-parsed where possible; ud[...] advanced matching is reported
+ * by field with a hashed flag (SHA-256 hex), values are not kept.
+ */
+function decodeMetaRequest(req) {
+  let u;
+  try { u = new URL(req.url); } catch { return null; }
+  if (!/(^|\.)facebook\.com$/.test(u.hostname) || !/^\/tr\/?$/.test(u.pathname)) return null;
+  const params = new URLSearchParams([u.search.slice(1), req.postData || ''].filter(Boolean).join('&'));
+  if (!params.get('ev')) return null;
+
+  const customData = {};
+  const userData = [];
+  for (const [key, val] of params) {
+    const cd = key.match(/^cd\[(.+)\]$/);
+    const ud = key.match(/^ud\[(.+)\]$/);
+    if (cd) {
+      let parsed = val;
+      if (/^[[{]/.test(val)) { try { parsed = JSON.parse(val); } catch { /* keep raw */ } }
+      customData[cd[1]] = parsed;
+    } else if (ud && val) {
+      userData.push({ field: ud[1], hashed: /^[a-f0-9]{64}$/i.test(val) });
+    }
+  }
+
+  return {
+    pixelId: params.get('id'),
+    event: params.get('ev'),
+    customData,
+    eventId: params.get('eid') || null,
+    userData,
+    pageLocation: params.get('dl') || null,
+    host: u.hostname,
+    timestamp: req.startTime,
+  };
+}
+
+function decodeMetaHits(requests) {
+  return requests.map(decodeMetaRequest).filter(Boolean);
+}
+
+/**
+ * Missing custom data fields of a Meta standard event (content_ids is satisfied by contents).
+ */
+function getMissingMetaParams(e) {
+  return (META_REQUIRED_PARAMS[e.event] || []).filter(p => {
+    if (p === 'content_ids' && Array.isArray(e.customData.contents) && e.customData.contents.length) return false;
+    const v = e.customData[p];
+    return v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+  });
+}
+
+/**
+ * Validate the Meta events of one E-Commerce step: expected standard event present,
+ * required custom data set, eid set for browser/CAPI deduplication.
+ * Returns { expected, found, issues: [{ event, issue }] }.
+ */
+function validateMetaStep(stepName, events) {
+  const expected = META_STEP_EVENTS[stepName] || null;
+  const found = expected ? events.some(e => e.event === expected) : null;
+  const issues = [];
+  if (expected && !found) issues.push({ event: expected, issue: 'nicht gesendet' });
+  for (const e of events) {
+    if (!META_REQUIRED_PARAMS[e.event]) continue;
+    const missing = getMissingMetaParams(e);
+    if (missing.length) issues.push({ event: e.event, issue: `fehlende Parameter: ${missing.join(', ')}` });
+    if (!e.eventId) issues.push({ event: e.event, issue: 'keine eid (Deduplizierung mit CAPI nicht moeglich)' });
+  }
+  return { expected, found, issues };
+}
+
+// ── Ad Pixel Decoding (TikTok, Pinterest, LinkedIn, Microsoft Ads) ───────────
+
+/**
+ * Names of fields holding SHA-256 hashes (64 hex chars), recursively ("user.email").
+ */
+function findHashedFields(obj, prefix = '') {
+  if (!obj || typeof obj !== 'object') return [];
+  return Object.entries(obj).flatMap(([key, val]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof val === 'string') return /^[a-f0-9]{64}$/i.test(val) ? [path] : [];
+    return findHashedFields(val, path);
+  });
+}
+
+function parseJsonSafe(str) {
+  if (!str) return null;
+  try { return JSON.parse(str); } catch { return null; }
+}
+
+const toNumberOrNull = (v) => (v === undefined || v === null || v === '' || isNaN(v) ? null : Number(v));
+
+/**
+ * TikTok Pixel: JSON body { event, event_id, context: { pixel, user }, properties }, batched as { batch: [...] }.
+ */
+function decodeTikTokPayload(params, body) {
+  const entries = Array.isArray(body?.batch) ? body.batch : (body ? [body] : []);
+  return entries.filter(e => e && e.event).map(e => {
+    const props = e.properties || {};
+    const contents = Array.isArray(props.contents) ? props.contents : [];
+    return {
+      tagId: e.context?.pixel?.code || params.get('sdkid') || null,
+      event: e.event,
+      eventId: e.event_id || null,
+      value: toNumberOrNull(props.value),
+      currency: props.currency || null,
+      contentIds: contents.length ? contents.map(c => c.content_id).filter(Boolean) : [props.content_id].filter(Boolean),
+      hashedFields: findHashedFields(e.context?.user),
+    };
+  });
+}
+
+/**
+ * Pinterest Tag: ct.pinterest.com/v3/?tid=...&event=...&ed={event data}&pd={partner data}.
+ */
+function decodePinterestPayload(params) {
+  if (!params.get('event')) return [];
+  const ed = parseJsonSafe(params.get('ed')) || {};
+  const pd = parseJsonSafe(params.get('pd')) || {};
+  const lineItems = Array.isArray(ed.line_items) ? ed.line_items : [];
+  return [{
+    tagId: params.get('tid'),
+    event: params.get('event'),
+    eventId: ed.event_id || params.get('eid') || null,
+    value: toNumberOrNull(ed.value),
+    currency: ed.currency || null,
+    contentIds: lineItems.map(i => i.product_id).filter(Boolean),
+    hashedFields: findHashedFields(pd),
+  }];
+}
+
+/**
+ * LinkedIn Insight Tag: px.ads.linkedin.com/collect?pid=...&conversionId=... or /wa/ JSON body { pids, ... }.
+ */
+function decodeLinkedInPayload(params, body) {
+  const pids = params.get('pid') || (Array.isArray(body?.pids) ? body.pids.join(',') : null);
+  if (!pids) return [];
+  const conversionId = params.get('conversionId') || body?.conversionId;
+  return [{
+    tagId: pids,
+    event: conversionId ? `Conversion ${conversionId}` : 'PageView',
+    eventId: params.get('eventId') || body?.eventId || null,
+    value: toNumberOrNull(params.get('value') ?? body?.conversionValue?.amount),
+    currency: params.get('currency') || body?.conversionValue?.currencyCode || null,
+    contentIds: [],
+    hashedFields: [...findHashedFields(Object.fromEntries(params)), ...findHashedFields(body)],
+  }];
+}
+
+/**
+ * Microsoft Ads UET: bat.bing.com/action/0?ti=...&evt=pageLoad|custom&ea=<action>&gv=<revenue>&gc=<currency>.
+ */
+function decodeUETPayload(params) {
+  if (!params.get('ti') || !params.get('evt')) return [];
+  const evt = params.get('evt');
+  return [{
+    tagId: params.get('ti'),
+    event: evt === 'custom' ? (params.get('ea') || 'custom') : evt,
+    eventId: null,
+    value: toNumberOrNull(params.get('gv') ?? params.get('ev')),
+    currency: params.get('gc') || null,
+    contentIds: (params.get('prodid') || '').split(',').filter(Boolean),
+    hashedFields: findHashedFields(Object.fromEntries(params)),
+  }];
+}
+
+// tracking-vendors.json key -> payload decoder (params: query + form body, body: parsed JSON body)
+const AD_PIXEL_DECODERS = {
+  'tiktok-pixel': decodeTikTokPayload,
+  'pinterest-tag': decodePinterestPayload,
+  'linkedin-insight': decodeLinkedInPayload,
+  'microsoft-ads': decodeUETPayload,
+};
+
+/**
+ * Decode a TikTok/Pinterest/LinkedIn/UET event request into
+ * [{ vendor, product, tagId, event, eventId, value, currency, contentIds, hashedFields, timestamp }].
+ */
+function decodeAdPixelRequest(req, siteHost) {
+  const match = matchRequest(req.url, siteHost);
+  const decoder = match && match.direction !== 'script' && AD_PIXEL_DECODERS[match.key];
+  if (!decoder) return [];
+  let u;
+  try { u = new URL(req.url); } catch { return []; }
+  const body = parseJsonSafe(req.postData);
+  const params = new URLSearchParams(u.search);
+  if (req.postData && !body) {
+    for (const [k, v] of new URLSearchParams(req.postData)) params.append(k, v);
+  }
+  return decoder(params, body).map(e => ({
+    vendor: match.vendor,
+    product: match.product,
+    ...e,
+    timestamp: req.startTime,
+  }));
+}
+
+function decodeAdPixelHits(requests, siteHost) {
+  return requests.flatMap(req => decodeAdPixelRequest(req, siteHost));
+}
+
+// ── E-Commerce Hit Reconciliation ────────────────────────────────────────────
+
+// GA4 ecommerce events outside EXPECTED_EVENTS that are reconciled under their own name
+const GA4_ECOM_EVENTS = ['view_item_list', 'view_item', 'add_to_cart', 'remove_from_cart', 'view_cart', 'begin_checkout', 'add_shipping_info', 'add_payment_info', 'purchase'];
+
+// Meta standard events -> GA4 event name
+const META_ECOM_EVENTS = {
+  ViewContent: 'view_item',
+  AddToCart: 'add_to_cart',
+  InitiateCheckout: 'begin_checkout',
+  AddPaymentInfo: 'add_payment_info',
+  Purchase: 'purchase',
+};
+
+/**
+ * Map a dataLayer/platform event name to its GA4 ecommerce event (EXPECTED_EVENTS aliases).
+ * Returns null for non-ecommerce events.
+ */
+function canonicalEcomEvent(name) {
+  if (!name) return null;
+  const lower = String(name).toLowerCase();
+  if (GA4_ECOM_EVENTS.includes(lower)) return lower;
+  const aliases = Object.values(EXPECTED_EVENTS).find(list => list.some(e => e.toLowerCase() === lower));
+  return aliases ? aliases[0] : null;
+}
+
+/**
+ * Parse a Google Ads remarketing/conversion request (pagead) into an ecommerce hit.
+ * ecomm_* parameters are read from the query string and the semicolon-separated data= parameter.
+ */
+function decodeAdsEcomRequest(req) {
+  let u;
+  try { u = new URL(req.url); } catch { return null; }
+  if (!u.pathname.includes('/pagead/')) return null;
+  const params = Object.fromEntries(new URLSearchParams([u.search.slice(1), req.postData || ''].filter(Boolean).join('&')));
+  const data = Object.fromEntries((params.data || '').split(';').filter(Boolean).map(kv => {
+    const i = kv.indexOf('=');
+    return i > 0 ? [kv.slice(0, i), kv.slice(i + 1)] : [kv, ''];
+  }));
+  const event = canonicalEcomEvent(data.event || params.en);
+  if (!event) return null;
+  const ids = (data.ecomm_prodid || params.ecomm_prodid || data.dynx_itemid || params.dynx_itemid || '')
+    .replace(/[[\]"]/g, '').split(',').map(id => id.trim()).filter(Boolean);
+  const value = data.value ?? params.value ?? data.ecomm_totalvalue ?? params.ecomm_totalvalue;
+  return {
+    platform: 'Google Ads',
+    event,
+    rawEvent: data.event || params.en,
+    items: ids.map(id => ({ id, price: null })),
+    value: value !== undefined && value !== '' ? Number(value) : null,
+    currency: data.currency_code || params.currency_code || null,
+    timestamp: req.startTime,
+  };
+}
+
+/**
+ * Meta Pixel standard ecommerce event as an ecommerce hit.
+ */
+function decodeMetaEcomRequest(req) {
+  const meta = decodeMetaRequest(req);
+  const event = meta && META_ECOM_EVENTS[meta.event];
+  if (!event) return null;
+  const cd = meta.customData;
+  const ids = Array.isArray(cd.content_ids) ? cd.content_ids : (cd.content_ids ? [cd.content_ids] : []);
+  const items = Array.isArray(cd.contents)
+    ? cd.contents.map(c => ({ id: c.id != null ? String(c.id) : null, price: c.item_price ?? null }))
+    : ids.map(id => ({ id: String(id), price: null }));
+  return {
+    platform: 'Meta',
+    event,
+    rawEvent: meta.event,
+    items,
+    value: cd.value !== undefined && cd.value !== '' ? Number(cd.value) : null,
+    currency: cd.currency || null,
+    timestamp: meta.timestamp,
+  };
+}
+
+/**
+ * Ecommerce hits (GA4, Google Ads, Meta) from raw requests, in request order.
+ */
+function decodeEcomHits(requests) {
+  const hits = [];
+  for (const req of requests) {
+    for (const e of decodeGA4Request(req)) {
+      const event = canonicalEcomEvent(e.event);
+      if (!event) continue;
+      hits.push({
+        platform: 'GA4',
+        event,
+        rawEvent: e.event,
+        items: e.items.map(i => ({ id: i.item_id != null ? String(i.item_id) : null, price: i.price ?? null })),
+        value: e.params.value ?? null,
+        currency: e.params.currency ?? null,
+        timestamp: e.timestamp,
+      });
+    }
+    const other = decodeAdsEcomRequest(req) || decodeMetaEcomRequest(req);
+    if (other) hits.push(other);
+  }
+  return hits;
+}
+
+/**
+ * Ecommerce events pushed to the data layers of one step: GA4 event name, items, value, currency.
+ */
+function collectDataLayerEcomEvents(step) {
+  const sourceEntries = Object.values(step.dataLayerSources || {})
+    .flatMap(source => (Array.isArray(source) ? source : [source]));
+  const events = [];
+  for (const raw of [...step.dataLayerDiff, ...sourceEntries]) {
+    // gtag('event', 'add_to_cart', { items }) arrives as an arguments object
+    const entry = raw?.[0] === 'event' ? { event: raw[1], ecommerce: raw[2] || {} } : raw;
+    const detected = detectEcomFormat(entry);
+    const event = canonicalEcomEvent(detected?.event || entry?.event);
+    if (!event) continue;
+    const ecom = entry.ecommerce || {};
+    const actionField = ecom.purchase?.actionField || {};
+    events.push({
+      event,
+      rawEvent: detected?.event || entry.event,
+      items: (detected?.products || []).map(p => normalizeProduct(p)).filter(Boolean)
+        .map(p => ({ id: p.id, price: p.price })),
+      value: ecom.value ?? actionField.revenue ?? null,
+      currency: ecom.currency ?? ecom.currencyCode ?? null,
+      transactionId: ecom.transaction_id ?? actionField.id ?? null,
+    });
+  }
+  return events;
+}
+
+/**
+ * Differences between a dataLayer event and the hit sent for it.
+ * Only values present on both sides are compared.
+ */
+function compareEcomHit(dlEvent, hit) {
+  const mismatches = [];
+  const dlIds = dlEvent.items.map(i => i.id).filter(Boolean);
+  const hitIds = hit.items.map(i => i.id).filter(Boolean);
+  if (dlIds.length && hitIds.length) {
+    const missing = dlIds.filter(id => !hitIds.includes(id));
+    const extra = hitIds.filter(id => !dlIds.includes(id));
+    if (missing.length || extra.length) {
+      mismatches.push({ field: 'item_id', dataLayer: dlIds.join(', '), hit: hitIds.join(', ') });
+    }
+  }
+  for (const item of dlEvent.items) {
+    const sent = hit.items.find(i => i.id === item.id);
+    if (!sent || item.price == null || sent.price == null) continue;
+    if (Math.abs(Number(item.price) - Number(sent.price)) > 0.005) {
+      mismatches.push({ field: `price (${item.id})`, dataLayer: String(item.price), hit: String(sent.price) });
+    }
+  }
+  if (dlEvent.value != null && hit.value != null && Math.abs(Number(dlEvent.value) - hit.value) > 0.005) {
+    mismatches.push({ field: 'value', dataLayer: String(dlEvent.value), hit: String(hit.value) });
+  }
+  if (dlEvent.currency && hit.currency && dlEvent.currency !== hit.currency) {
+    mismatches.push({ field: 'currency', dataLayer: dlEvent.currency, hit: hit.currency });
+  }
+  return mismatches;
+}
+
+/**
+ * Match dataLayer ecommerce events of one step to the hits sent in that step.
+ * platforms: platforms that sent ecommerce hits anywhere in the E-Commerce path; only
+ * these are expected to receive every event (Meta only for its standard events).
+ * laterHits: hits of the following phase – GA4 batches events, so a hit can leave after
+ * the next step has started; these only count when the step itself has no match (late).
+ * Each hit is matched at most once, in push order; share `used` across steps.
+ * Returns { platforms, events: [{ event, rawEvent, platform, status, mismatches, late }] }.
+ */
+function reconcileEcomStep(step, hits, platforms, { laterHits = [], used = new Set() } = {}) {
+  const events = [];
+  for (const dlEvent of collectDataLayerEcomEvents(step)) {
+    for (const platform of platforms) {
+      if (platform === 'Meta' && !Object.values(META_ECOM_EVENTS).includes(dlEvent.event)) continue;
+      const matches = (h) => !used.has(h) && h.platform === platform && h.event === dlEvent.event;
+      const own = hits.find(matches);
+      const hit = own || laterHits.find(matches);
+      if (!hit) {
+        events.push({ event: dlEvent.event, rawEvent: dlEvent.rawEvent, platform, status: 'missing', mismatches: [], late: false });
+        continue;
+      }
+      used.add(hit);
+      const mismatches = compareEcomHit(dlEvent, hit);
+      events.push({
+        event: dlEvent.event, rawEvent: dlEvent.rawEvent, platform,
+        status: mismatches.length ? 'mismatch' : 'ok', mismatches, late: !own,
+      });
+    }
+  }
+  return { platforms, events };
+}
+
+// ── Purchase Validation ───────────────────────────────────────────────────────
+
+/**
+ * Google Ads conversion ping (pagead/conversion, 1p-conversion or viewthroughconversion with label).
+ * Returns { conversionId, label, value, currency, transactionId } or null.
+ */
+function decodeAdsConversionRequest(req) {
+  let u;
+  try { u = new URL(req.url); } catch { return null; }
+  const m = u.pathname.match(/\/pagead\/(?:1p-)?(?:viewthrough)?conversion\/(\d+)/);
+  if (!m) return null;
+  const params = new URLSearchParams([u.search.slice(1), req.postData || ''].filter(Boolean).join('&'));
+  if (!params.get('label')) return null;
+  return {
+    conversionId: `AW-${m[1]}`,
+    label: params.get('label'),
+    value: toNumberOrNull(params.get('value')),
+    currency: params.get('currency_code') || null,
+    transactionId: params.get('oid') || null,
+  };
+}
+
+/**
+ * Floodlight activity (ad.doubleclick.net/activity;src=..;type=..;cat=..;ord=..;cost=..).
+ * Sales tags carry revenue in cost and the order ID in ord.
+ */
+function decodeFloodlightRequest(req) {
+  let u;
+  try { u = new URL(req.url); } catch { return null; }
+  const isFloodlight = u.hostname.endsWith('fls.doubleclick.net') || (u.hostname === 'ad.doubleclick.net' && u.pathname.startsWith('/activity'));
+  if (!isFloodlight || !u.pathname.includes('activity')) return null;
+  const params = Object.fromEntries(u.pathname.split(';').slice(1).map(kv => {
+    const i = kv.indexOf('=');
+    return i > 0 ? [kv.slice(0, i), safeDecode(kv.slice(i + 1))] : [kv, ''];
+  }));
+  for (const [k, v] of u.searchParams) params[k] = v;
+  if (!params.src) return null;
+  return {
+    advertiserId: params.src,
+    activity: [params.type, params.cat].filter(Boolean).join('/'),
+    value: toNumberOrNull(params.cost),
+    currency: null,
+    transactionId: params.ord || null,
+    sales: params.cost !== undefined || params.qty !== undefined,
+  };
+}
+
+/**
+ * Validate the purchase step: dataLayer purchase event as reference, then GA4 purchase,
+ * Google Ads conversion, Floodlight sales tag and Meta Purchase with transaction ID,
+ * value and currency. Platforms not active anywhere in the run (allRequests) are skipped.
+ * Returns { reference, checks: [{ platform, found, transactionId, value, currency, issues }] }.
+ */
+function analyzePurchase(step, stepRequests, allRequests) {
+  const dlPurchase = collectDataLayerEcomEvents(step).find(e => e.event === 'purchase') || null;
+  const reference = dlPurchase
+    ? { transactionId: dlPurchase.transactionId != null ? String(dlPurchase.transactionId) : null, value: toNumberOrNull(dlPurchase.value), currency: dlPurchase.currency || null }
+    : null;
+
+  const compare = (hit, { needsId = true, checkCurrency = true } = {}) => {
+    const issues = [];
+    if (needsId && !hit.transactionId) issues.push('keine Transaktions-ID');
+    if (reference) {
+      if (reference.transactionId && hit.transactionId && String(hit.transactionId) !== reference.transactionId) {
+        issues.push(`Transaktions-ID ${hit.transactionId} ≠ dataLayer ${reference.transactionId}`);
+      }
+      if (reference.value !== null && hit.value !== null && Math.abs(reference.value - hit.value) > 0.005) {
+        issues.push(`value ${hit.value} ≠ dataLayer ${reference.value}`);
+      }
+      if (checkCurrency && reference.currency && hit.currency && reference.currency !== hit.currency) {
+        issues.push(`currency ${hit.currency} ≠ dataLayer ${reference.currency}`);
+      }
+    }
+    if (checkCurrency && hit.value !== null && !hit.currency) issues.push('value ohne currency');
+    return issues;
+  };
+
+  const checks = [];
+  const addCheck = (platform, hit, options) => {
+    checks.push(hit
+      ? { platform, found: true, transactionId: hit.transactionId ?? null, value: hit.value ?? null, currency: hit.currency ?? null, issues: compare(hit, options) }
+      : { platform, found: false, transactionId: null, value: null, currency: null, issues: ['nicht gesendet'] });
+  };
+
+  addCheck('dataLayer', dlPurchase && { ...reference }, {});
+
+  if (allRequests.some(r => decodeGA4Request(r).length > 0)) {
+    const ga4 = stepRequests.flatMap(decodeGA4Request).find(e => e.event === 'purchase');
+    addCheck('GA4', ga4 && {
+      transactionId: ga4.params.transaction_id ?? null,
+      value: toNumberOrNull(ga4.params.value),
+      currency: ga4.params.currency ?? null,
+    });
+  }
+
+  // Google Ads only: AdSense also loads from /pagead/ (pagead2.googlesyndication.com)
+  const isGoogleAds = (u) => /googleadservices\.com\//.test(u) || /\/pagead\/(?:1p-)?(?:viewthrough)?conversion\//.test(u) ||
+    /[?&](id|tid)=AW-/.test(u);
+  if (allRequests.some(r => isGoogleAds(r.url))) {
+    addCheck('Google Ads', stepRequests.map(decodeAdsConversionRequest).find(Boolean));
+  }
+
+  if (allRequests.some(r => decodeFloodlightRequest(r))) {
+    addCheck('Floodlight', stepRequests.map(decodeFloodlightRequest).find(f => f && f.sales), { checkCurrency: false });
+  }
+
+  if (allRequests.some(r => decodeMetaRequest(r))) {
+    const meta = stepRequests.map(decodeMetaRequest).find(e => e && e.event === 'Purchase');
+    addCheck('Meta', meta && {
+      transactionId: meta.customData.order_id ?? null,
+      value: toNumberOrNull(meta.customData.value),
+      currency: meta.customData.currency || null,
+    }, { needsId: false });
+  }
+
+  return { reference, checks };
+}
+
+/**
+ * Reach the order confirmation without placing an order: from the click on the order
+ * button until confirmationUrl is reached, every non-GET request on any origin (the order
+ * submission, shop APIs, payment providers) is answered with a redirect to confirmationUrl
+ * or aborted. Only known tracking vendors and GA4 hits (incl. first-party SST) pass through.
+ * Service workers must be blocked in the context, page.route does not see their requests.
+ * Without submitSelector, confirmationUrl is opened directly.
+ * Returns { mode, stubbedRequests, error }.
+ */
+async function submitStubbedOrder(page, confirmationUrl, submitSelector, siteHost) {
+  if (!submitSelector) {
+    try { await page.goto(confirmationUrl, { waitUntil: 'networkidle', timeout: 20000 }); } catch { /* networkidle timeout */ }
+    return { mode: 'navigate', stubbedRequests: [], error: null };
+  }
+
+  const stubbedRequests = [];
+  const handler = async (route) => {
+    const req = route.request();
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method())) return route.continue();
+    const isTracking = matchRequest(req.url(), siteHost)?.key ||
+      decodeGA4Request({ url: req.url(), postData: req.postData() }).length > 0;
+    if (isTracking) return route.continue();
+
+    let label = req.url();
+    try { const u = new URL(req.url()); label = u.host + u.pathname; } catch { /* keep raw URL */ }
+    stubbedRequests.push(`${req.method()} ${label}`);
+    if (req.resourceType() === 'document') {
+      return route.fulfill({ status: 303, headers: { location: confirmationUrl } });
+    }
+    if (!['xhr', 'fetch'].includes(req.resourceType())) return route.abort();
+    return route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ success: true, redirect: confirmationUrl, redirectUrl: confirmationUrl }),
+    });
+  };
+
+  let error = null;
+  await page.route('**/*', handler);
+  try {
+    await page.locator(submitSelector).first().click({ timeout: 10000 });
+    await page.waitForURL(u => u.href.split('#')[0] === confirmationUrl.split('#')[0], { timeout: 15000 });
+  } catch (err) {
+    error = stubbedRequests.length
+      ? 'Bestellseite nicht automatisch erreicht, direkt geladen'
+      : `Bestellung absenden fehlgeschlagen (${err.message.split('\n')[0]}), Bestellseite direkt geladen`;
+  }
+  await page.unroute('**/*', handler);
+  if (error) {
+    try { await page.goto(confirmationUrl, { waitUntil: 'networkidle', timeout: 20000 }); } catch { /* networkidle timeout */ }
+  }
+  return { mode: 'stub', stubbedRequests, error };
+}
+
+// ── PII Detection ─────────────────────────────────────────────────────────────
+
+// Parameter/field names (last path segment) that carry personal data
+const PII_KEY_PATTERNS = [
+  { type: 'email', pattern: /^(e-?mail|em|email_?address|user_?email|customer_?email|sha256_email_address)$/i },
+  { type: 'phone', pattern: /^(phone|phone_?number|tel|telephone|telefon|mobile|handy|ph|sha256_phone_number)$/i },
+  { type: 'name', pattern: /^(first_?name|last_?name|fname|lname|fn|ln|vorname|nachname|full_?name|customer_?name)$/i },
+  { type: 'address', pattern: /^(street|strasse|address[12]?|adresse|street_?address|zip|zip_?code|postal_?code|plz)$/i },
+];
+
+const PII_TYPE_LABELS = {
+  email: 'E-Mail', phone: 'Telefon', name: 'Name', address: 'Adresse', password: 'Passwort', formValue: 'Formularwert',
+};
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.(?!(?:png|jpe?g|gif|svg|webp|avif|js|css)\b)[A-Z]{2,}/i;
+const PHONE_RE = /^(?:\+|00)[1-9][\d\s()./-]{6,18}\d$/;
+const STREET_RE = /\b[A-ZÄÖÜ][a-zäöüß-]+(?:straße|strasse|str\.|weg|allee|platz|gasse|ring)\s+\d+[a-z]?\b/;
+const SHA256_RE = /^[a-f0-9]{64}$/i;
+// SHA-256 as base64url/base64 (Google Enhanced Conversions: em=tv.1~em.<hash>)
+const SHA256_B64_RE = /^[A-Za-z0-9_-]{43}$|^[A-Za-z0-9+/]{43}=$/;
+
+// Field prefixes in Google's tv.1~<field>.<hash> user-data encoding
+const GOOGLE_USER_DATA_FIELDS = {
+  em: 'email', pn: 'phone', fn: 'name', ln: 'name', sn: 'address', ct: 'address', pc: 'address', rg: 'address', co: 'address',
+};
+
+// Meta Advanced Matching / CAPI user-data fields
+const META_USER_DATA_FIELDS = {
+  em: 'email', ph: 'phone', fn: 'name', ln: 'name', ct: 'address', st: 'address', zp: 'address', country: 'address',
+};
+
+// Fields inside user-data namespaces (Meta ud[...]/udff[...], user_data.* of Google and
+// Meta CAPI), which are meant to be hashed – any other value there is plaintext
+const USER_DATA_NAMESPACES = [
+  { pattern: /^(ud|udff)$/, fields: META_USER_DATA_FIELDS },
+  {
+    pattern: /^user_?data$/i,
+    fields: {
+      ...META_USER_DATA_FIELDS,
+      email: 'email', email_address: 'email', sha256_email_address: 'email',
+      phone_number: 'phone', sha256_phone_number: 'phone',
+      first_name: 'name', last_name: 'name', sha256_first_name: 'name', sha256_last_name: 'name',
+      street: 'address', city: 'address', region: 'address', postal_code: 'address', country: 'address',
+    },
+  },
+];
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hex and base64url/base64 forms of a SHA-256 hex digest, for matching known values.
+ */
+function sha256Encodings(hex) {
+  const digest = Buffer.from(hex, 'hex');
+  return [hex, digest.toString('base64url'), digest.toString('base64').replace(/=+$/, '')];
+}
+
+function safeDecode(str) {
+  try { return decodeURIComponent(str); } catch { return str; }
+}
+
+/**
+ * Flatten query/body data into [{ key, value }] leaves; JSON values are expanded and
+ * keyed by their dotted path (user_data.address.city).
+ */
+function flattenPIIValues(key, value, out = [], depth = 0) {
+  if (value === null || value === undefined || depth > 6) return out;
+  if (typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) flattenPIIValues(key ? `${key}.${k}` : k, v, out, depth + 1);
+    return out;
+  }
+  const str = String(value);
+  if (/^[[{]/.test(str)) {
+    const parsed = parseJsonSafe(str);
+    if (parsed && typeof parsed === 'object') return flattenPIIValues(key, parsed, out, depth + 1);
+  }
+  out.push({ key, value: safeDecode(str) });
+  return out;
+}
+
+/**
+ * Values of one request by location: query string, POST body (JSON, form or batched lines), Referer query.
+ */
+function extractRequestValues(req) {
+  const units = [];
+  try {
+    for (const [k, v] of new URL(req.url).searchParams) {
+      for (const leaf of flattenPIIValues(k, v)) units.push({ location: 'Query', ...leaf });
+    }
+  } catch { /* */ }
+
+  if (req.postData) {
+    const json = parseJsonSafe(req.postData);
+    if (json && typeof json === 'object') {
+      for (const leaf of flattenPIIValues(null, json)) units.push({ location: 'POST-Body', ...leaf });
+    } else if (/^[^=\s]+=/.test(req.postData)) {
+      for (const line of req.postData.split(/\r?\n/)) {
+        for (const [k, v] of new URLSearchParams(line)) {
+          for (const leaf of flattenPIIValues(k, v)) units.push({ location: 'POST-Body', ...leaf });
+        }
+      }
+    } else {
+      units.push({ location: 'POST-Body', key: null, value: req.postData });
+    }
+  }
+
+  const referer = req.headers?.referer;
+  if (referer) {
+    try {
+      for (const [k, v] of new URL(referer).searchParams) units.push({ location: 'Referrer', key: k, value: v });
+    } catch { /* */ }
+  }
+  return units;
+}
+
+/**
+ * Known form values (from setupFormInputCollector) with their PII type and SHA-256 variants
+ * (trimmed/lowercased, phone numbers also digits-only).
+ */
+function buildKnownPIIValues(formInputs) {
+  return formInputs.map(input => {
+    const hint = `${input.type} ${input.name || ''}`;
+    let type = input.type === 'password' ? 'password'
+      : input.type === 'email' || EMAIL_RE.test(input.value) ? 'email'
+        : input.type === 'tel' ? 'phone'
+          : PII_KEY_PATTERNS.find(p => hint.split(/[\s[\].-]+/).some(part => p.pattern.test(part)))?.type || 'formValue';
+    if (type === 'formValue' && /name/i.test(hint)) type = 'name';
+    const normalized = input.value.trim().toLowerCase();
+    const digests = [sha256(input.value), sha256(normalized)];
+    if (type === 'phone') digests.push(sha256(normalized.replace(/\D/g, '')));
+    return { value: input.value, type, hashes: new Set(digests.flatMap(sha256Encodings)) };
+  });
+}
+
+/**
+ * Masked sample of a detected value for the report (hashes shortened, plaintext partially hidden).
+ */
+function maskPII(value, hashed) {
+  if (hashed) return `${value.slice(0, 8)}…`;
+  const email = value.match(EMAIL_RE);
+  if (email) {
+    const [local, domain] = email[0].split('@');
+    return `${local.slice(0, 2)}***@${domain}`;
+  }
+  return value.length > 4 ? `${value.slice(0, 2)}***${value.slice(-1)}` : '***';
+}
+
+/**
+ * PII type of a key inside a user-data namespace (ud[fn], user_data.address.city), or null.
+ */
+function userDataFieldType(segments) {
+  const leaf = segments[segments.length - 1];
+  for (const ns of USER_DATA_NAMESPACES) {
+    if (segments.slice(0, -1).some(s => ns.pattern.test(s)) && Object.hasOwn(ns.fields, leaf)) return ns.fields[leaf];
+  }
+  return null;
+}
+
+/**
+ * Classify one request value: [{ type, hashed, sample }].
+ * Plaintext needs a format match (email/phone, street for address keys), a value
+ * entered during the audit or a user-data field (ud[...], user_data.*, tv.1~);
+ * a generic PII-like key such as zip or fn alone only marks hashes.
+ */
+function classifyPIIValue(key, value, known) {
+  const segments = key ? String(key).split(/[[\].]/).filter(Boolean) : [];
+  const userDataType = userDataFieldType(segments);
+  const keyType = userDataType || (segments.length ? PII_KEY_PATTERNS.find(p => p.pattern.test(segments[segments.length - 1]))?.type : null);
+  const trimmed = value.trim();
+  if (!trimmed) return [];
+
+  // Google user data: tv.1~em.<hash>~pn.<hash>
+  if (/^tv\.1~/.test(trimmed)) {
+    return trimmed.split('~').slice(1).map(part => {
+      const i = part.indexOf('.');
+      const type = i > 0 && Object.hasOwn(GOOGLE_USER_DATA_FIELDS, part.slice(0, i)) ? GOOGLE_USER_DATA_FIELDS[part.slice(0, i)] : null;
+      const data = part.slice(i + 1);
+      if (!type || !data) return null;
+      const hashed = SHA256_RE.test(data) || SHA256_B64_RE.test(data);
+      return { type, hashed, sample: maskPII(data, hashed) };
+    }).filter(Boolean);
+  }
+
+  if (SHA256_RE.test(trimmed) || SHA256_B64_RE.test(trimmed)) {
+    const match = known.find(k => k.hashes.has(trimmed) || k.hashes.has(trimmed.toLowerCase()));
+    if (match || keyType) return [{ type: match ? match.type : keyType, hashed: true, sample: maskPII(trimmed, true) }];
+    return [];
+  }
+
+  if (userDataType) return [{ type: userDataType, hashed: false, sample: maskPII(trimmed, false) }];
+
+  const found = [];
+  const email = trimmed.match(EMAIL_RE);
+  if (email) found.push({ type: 'email', hashed: false, sample: maskPII(email[0], false) });
+  if (PHONE_RE.test(trimmed)) found.push({ type: 'phone', hashed: false, sample: maskPII(trimmed, false) });
+  const street = keyType === 'address' ? trimmed.match(STREET_RE) : null;
+  if (street) found.push({ type: 'address', hashed: false, sample: maskPII(street[0], false) });
+  for (const k of known) {
+    if (k.value.length < 4 || found.some(f => f.type === k.type)) continue;
+    if (email && email[0].toLowerCase().includes(k.value.toLowerCase())) continue;
+    if (trimmed.toLowerCase().includes(k.value.toLowerCase())) {
+      found.push({ type: k.type, hashed: false, sample: maskPII(k.value, false) });
+    }
+  }
+  return found;
+}
+
+/**
+ * Scan third-party requests for personal data in query strings, POST bodies and referrers.
+ * phaseOf(req) assigns the audit phase; knownValues come from buildKnownPIIValues.
+ * Returns findings [{ phase, host, product, type, hashed, location, key, sample }], one per
+ * phase/host/type/location/key.
+ */
+function scanRequestsForPII(requests, siteHost, phaseOf, knownValues = []) {
+  const findings = [];
+  const seen = new Set();
+  for (const req of requests) {
+    const match = matchRequest(req.url, siteHost);
+    if (!match) continue;
+    const phase = phaseOf(req);
+    for (const unit of extractRequestValues(req)) {
+      for (const f of classifyPIIValue(unit.key, unit.value, knownValues)) {
+        const id = [phase, match.hostname, f.type, f.hashed, unit.location, unit.key].join('|');
+        if (seen.has(id)) continue;
+        seen.add(id);
+        findings.push({
+          phase,
+          host: match.hostname,
+          product: match.product || null,
+          type: f.type,
+          hashed: f.hashed,
+          location: unit.location,
+          key: unit.key,
+          sample: f.sample,
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+// ── Form Test (Enhanced Conversions / Advanced Matching) ─────────────────────
+
+/**
+ * Synthetic test identity for --form. The email is unique per run so it can be
+ * traced through all requests (example.com never receives mail).
+ */
+function createTestIdentity() {
+  return {
+    email: `tracking-audit+${Date.now().toString(36)}@example.com`,
+    firstName: 'Erika',
+    lastName: 'Mustermann',
+    phone: '+49 170 1234567',
+    street: 'Teststrasse 1',
+    zip: '10115',
+    city: 'Berlin',
+    password: 'Audit-Test-2024!',
+  };
+}
+
+// Test identity fields traced by the PII scan, with their input type.
+// City and zip are too generic to trace (e.g. "Europe/Berlin").
+const FORM_TEST_INPUT_TYPES = { email: 'email', password: 'password', phone: 'tel', firstName: 'text', lastName: 'text', street: 'text' };
+
+// Identity key per autocomplete token (section-/shipping/billing prefixes are ignored)
+const FORM_AUTOCOMPLETE_FIELDS = {
+  'email': 'email', 'new-password': 'password', 'current-password': 'password',
+  'tel': 'phone', 'tel-national': 'phone', 'given-name': 'firstName', 'family-name': 'lastName',
+  'postal-code': 'zip', 'address-level2': 'city', 'street-address': 'street', 'address-line1': 'street',
+};
+
+// Identity key per name / id / placeholder token (whole tokens, adjacent pairs joined: first_name → firstname)
+const FORM_FIELD_PATTERNS = [
+  ['email', /^(e?mail|emailaddress|emailadresse)$/],
+  ['password', /^(password|passwort|pwd|kennwort)$/],
+  ['phone', /^(phone|phonenumber|telephone|tel|telefon|telefonnummer|mobile|mobil|handy)$/],
+  ['firstName', /^(firstname|fname|givenname|vorname)$/],
+  ['lastName', /^(lastname|lname|familyname|surname|nachname)$/],
+  ['zip', /^(zip|zipcode|postal|postalcode|postcode|plz)$/],
+  ['city', /^(city|town|ort|wohnort|stadt)$/],
+  ['street', /^(street|streetaddress|strasse|straße|address|address1|addressline1|adresse)$/],
+];
+
+function formFieldTokens(text) {
+  const tokens = text.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return [...tokens, ...tokens.slice(1).map((t, i) => tokens[i] + t)];
+}
+
+function classifyFormField(field) {
+  if (field.type === 'email') return 'email';
+  if (field.type === 'password') return 'password';
+  if (field.type === 'tel') return 'phone';
+  const autocomplete = (field.autocomplete || '').toLowerCase().split(/\s+/)
+    .map(token => FORM_AUTOCOMPLETE_FIELDS[token]).find(Boolean);
+  if (autocomplete) return autocomplete;
+  for (const text of [field.name, field.id, field.placeholder].filter(Boolean)) {
+    const tokens = formFieldTokens(text);
+    const match = FORM_FIELD_PATTERNS.find(([, re]) => tokens.some(t => re.test(t)));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Fill a form with the test identity and submit it.
+ * formSelector: form element (default: first form with an email field);
+ * submitSelector: submit button (default: submit button of the form, else requestSubmit()).
+ * Required checkboxes (privacy/newsletter opt-in) are checked.
+ * Returns { fields: [{ field, identityKey }], submitted, error }.
+ */
+async function fillTestForm(page, identity, formSelector, submitSelector) {
+  const form = formSelector
+    ? page.locator(formSelector).first()
+    : page.locator('form:has(input[type="email"]), form:has(input[name*="mail" i])').first();
+  if (await form.count() === 0) return { fields: [], submitted: false, error: `Kein Formular gefunden (${formSelector || 'Formular mit E-Mail-Feld'})` };
+
+  const inputs = form.locator('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea');
+  const descriptors = await inputs.evaluateAll(els => els.map(el => ({
+    type: (el.type || 'text').toLowerCase(),
+    name: el.name || '', id: el.id || '', autocomplete: el.autocomplete || '', placeholder: el.placeholder || '',
+    required: el.required, visible: !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length),
+  })));
+
+  const fields = [];
+  for (const [i, d] of descriptors.entries()) {
+    if (!d.visible) continue;
+    if (d.type === 'checkbox') {
+      if (d.required) { try { await inputs.nth(i).check({ timeout: 3000 }); } catch { /* custom checkbox */ } }
+      continue;
+    }
+    const key = classifyFormField(d);
+    if (!key) continue;
+    try {
+      await inputs.nth(i).fill(identity[key], { timeout: 3000 });
+      fields.push({ field: d.name || d.id || d.type, identityKey: key });
+    } catch { /* readonly or detached */ }
+  }
+  if (!fields.some(f => f.identityKey === 'email')) {
+    return { fields, submitted: false, error: 'Kein E-Mail-Feld im Formular gefunden' };
+  }
+
+  try {
+    if (submitSelector) {
+      await page.locator(submitSelector).first().click({ timeout: 10000 });
+    } else {
+      const button = form.locator('[type="submit"], button:not([type])').first();
+      if (await button.count() > 0) await button.click({ timeout: 10000 });
+      else await form.evaluate(f => f.requestSubmit());
+    }
+  } catch (err) {
+    return { fields, submitted: false, error: `Absenden fehlgeschlagen: ${err.message.split('\n')[0]}` };
+  }
+  try { await page.waitForLoadState('networkidle', { timeout: 15000 }); } catch { /* keep going */ }
+  await waitForSettle(page, 3000);
+  return { fields, submitted: true, error: null };
+}
+
+/**
+ * Trace the test email through third-party requests: plaintext, SHA-256 hex
+ * (Meta ud[em], TikTok, Pinterest) or SHA-256 base64url (Google em=tv.1~em.<hash>).
+ * Returns { hits: [{ host, product, vendor, encoding }], enhancedConversions, advancedMatching, plaintext }.
+ */
+function analyzeFormTest(requests, identity, siteHost) {
+  const email = identity.email.trim().toLowerCase();
+  const hashes = sha256Encodings(sha256(email));
+
+  const hits = [];
+  for (const req of requests) {
+    const match = matchRequest(req.url, siteHost);
+    if (!match) continue;
+    const raw = [req.url, req.postData || '', req.headers?.referer || ''].join('\n');
+    const text = safeDecode(raw);
+    const encodings = [];
+    if (text.toLowerCase().includes(email) || raw.toLowerCase().includes(encodeURIComponent(email).toLowerCase())) encodings.push('plaintext');
+    if (hashes.some(h => text.includes(h)) || text.toLowerCase().includes(hashes[0])) encodings.push('sha256');
+    for (const encoding of encodings) {
+      if (hits.some(h => h.host === match.hostname && h.encoding === encoding)) continue;
+      hits.push({ host: match.hostname, product: match.product || null, vendor: match.vendor, encoding });
+    }
+  }
+
+  return {
+    hits,
+    enhancedConversions: hits.some(h => h.vendor === 'Google' && h.encoding === 'sha256'),
+    advancedMatching: hits.some(h => h.vendor === 'Meta' && h.encoding === 'sha256'),
+    plaintext: hits.filter(h => h.encoding === 'plaintext'),
+  };
+}
+
+// ── IAB GPP / US Privacy ──────────────────────────────────────────────────────
+
+const GPP_SECTION_NAMES = {
+  2: 'tcfeuv2', 5: 'tcfcav1', 6: 'uspv1', 7: 'usnat',
+  8: 'usca', 9: 'usva', 10: 'usco', 11: 'usut', 12: 'usct',
+};
+
+// Leading core fields per US section (2 bits each after the 6-bit version).
+// Only the notice/opt-out fields are decoded; the rest of the core is ignored.
+const GPP_US_CORE_FIELDS = {
+  usnat: ['SharingNotice', 'SaleOptOutNotice', 'SharingOptOutNotice', 'TargetedAdvertisingOptOutNotice',
+    'SensitiveDataProcessingOptOutNotice', 'SensitiveDataLimitUseNotice', 'SaleOptOut', 'SharingOptOut', 'TargetedAdvertisingOptOut'],
+  usca: ['SaleOptOutNotice', 'SharingOptOutNotice', 'SensitiveDataLimitUseNotice', 'SaleOptOut', 'SharingOptOut'],
+  usva: ['SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice', 'SaleOptOut', 'TargetedAdvertisingOptOut'],
+  usco: ['SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice', 'SaleOptOut', 'TargetedAdvertisingOptOut'],
+  usut: ['SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice', 'SensitiveDataProcessingOptOutNotice', 'SaleOptOut', 'TargetedAdvertisingOptOut'],
+  usct: ['SharingNotice', 'SaleOptOutNotice', 'TargetedAdvertisingOptOutNotice', 'SaleOptOut', 'TargetedAdvertisingOptOut'],
+};
+
+// Opt-out fields: 0 = n/a, 1 = opted out, 2 = did not opt out
+const GPP_OPT_OUT_VALUES = { 0: null, 1: true, 2: false };
+
+/**
+ * Read one Fibonacci-coded integer (terminated by '11') from a bit reader.
+ */
+function readFibonacciInt(r) {
+  const fib = [1, 2];
+  let value = 0;
+  let prev = false;
+  for (let i = 0; ; i++) {
+    const bit = r.bool();
+    if (bit && prev) return value;
+    if (i >= fib.length) fib.push(fib[i - 1] + fib[i - 2]);
+    if (bit) value += fib[i];
+    prev = bit;
+  }
+}
+
+/**
+ * Decode a USP string like "1YNN" (version, notice, opt-out of sale, LSPA).
+ */
+function decodeUSPString(uspString) {
+  if (!uspString || !/^1[YN-]{3}$/i.test(uspString)) return uspString ? { error: `Ungültiger USP-String "${uspString}"` } : null;
+  const flag = (c) => (c.toUpperCase() === 'Y' ? true : c.toUpperCase() === 'N' ? false : null);
+  return {
+    version: 1,
+    noticeGiven: flag(uspString[1]),
+    saleOptOut: flag(uspString[2]),
+    lspaCovered: flag(uspString[3]),
+  };
+}
+
+/**
+ * Decode a GPP string: header (section IDs), US state/national sections
+ * (notice + opt-out fields), embedded USP and TCF EU sections.
+ */
+function decodeGPPString(gppString) {
+  if (!gppString) return null;
+  try {
+    const [header, ...sectionStrings] = gppString.split('~');
+    const r = createBitReader(base64UrlToBits(header));
+    const type = r.int(6);
+    if (type !== 3) return { error: `Kein GPP-Header (Typ ${type})` };
+    const version = r.int(6);
+
+    const sectionIds = [];
+    const numEntries = r.int(12);
+    let last = 0;
+    for (let i = 0; i < numEntries; i++) {
+      const isRange = r.bool();
+      const start = last + readFibonacciInt(r);
+      const end = isRange ? start + readFibonacciInt(r) : start;
+      for (let id = start; id <= end; id++) sectionIds.push(id);
+      last = end;
+    }
+
+    const sections = {};
+    sectionIds.forEach((id, i) => {
+      const name = GPP_SECTION_NAMES[id] || `section${id}`;
+      const str = sectionStrings[i];
+      if (!str) return;
+      if (name === 'uspv1') { sections[name] = decodeUSPString(str); return; }
+      if (name === 'tcfeuv2') { sections[name] = decodeTCString(str); return; }
+      const fields = GPP_US_CORE_FIELDS[name];
+      if (!fields) { sections[name] = { raw: str }; return; }
+      try {
+        const sr = createBitReader(base64UrlToBits(str.split('.')[0]));
+        const section = { version: sr.int(6) };
+        for (const f of fields) section[f] = sr.int(2);
+        sections[name] = section;
+      } catch (err) {
+        sections[name] = { error: err.message };
+      }
+    });
+
+    return { version, sectionIds, sections };
+  } catch (err) {
+    return { error: `GPP-String nicht dekodierbar: ${err.message}` };
+  }
+}
+
+/**
+ * Query __gpp (ping / getGPPData) and __uspapi in the page, usprivacy cookie
+ * as USP fallback. Returns { gpp, usp } (decoded) or null without any signal.
+ */
+async function collectUSPrivacyData(page) {
+  let raw = null;
+  try {
+    raw = await page.evaluate(() => new Promise((resolve) => {
+      const result = { gpp: null, usp: null };
+      const m = document.cookie.match(/(?:^|;\s*)usprivacy=([^;]*)/);
+      if (m && m[1]) result.usp = { source: 'cookie', uspString: decodeURIComponent(m[1]) };
+
+      // Count both APIs up front: a synchronous GPP answer must not resolve before USP is asked
+      const hasGpp = typeof window.__gpp === 'function';
+      const hasUsp = typeof window.__uspapi === 'function';
+      let pending = Number(hasGpp) + Number(hasUsp);
+      const done = () => { if (--pending <= 0) resolve(result); };
+      const timer = setTimeout(() => resolve(result), 3000);
+      const finish = () => { clearTimeout(timer); resolve(result); };
+
+      if (hasGpp) {
+        // GPP 1.0 may answer twice (return value and callback) – count only the first
+        let gppSettled = false;
+        const gppDone = () => { if (!gppSettled) { gppSettled = true; done(); } };
+        try {
+          const onPing = (data, success) => {
+            if (gppSettled) return;
+            if (success !== false && data) {
+              let gppString = data.gppString || null;
+              // GPP 1.0: ping has no string, getGPPData returns it synchronously
+              if (!gppString) {
+                try { gppString = window.__gpp('getGPPData')?.gppString || null; } catch { /* */ }
+              }
+              result.gpp = {
+                source: 'api',
+                gppString,
+                applicableSections: data.applicableSections || null,
+                cmpId: data.cmpId ?? null,
+                signalStatus: data.signalStatus || null,
+              };
+            }
+            gppDone();
+          };
+          const ret = window.__gpp('ping', onPing);
+          // GPP 1.0 returns the ping object directly
+          if (ret && typeof ret === 'object') onPing(ret, true);
+        } catch { gppDone(); }
+      }
+
+      if (hasUsp) {
+        try {
+          window.__uspapi('getUSPData', 1, (data, success) => {
+            if (success && data && data.uspString) result.usp = { source: 'api', uspString: data.uspString };
+            done();
+          });
+        } catch { done(); }
+      }
+
+      if (pending === 0) finish();
+    }));
+  } catch { /* page navigated */ }
+
+  if (!raw || (!raw.gpp && !raw.usp)) return null;
+  if (raw.gpp) raw.gpp.decoded = decodeGPPString(raw.gpp.gppString);
+  if (raw.usp) raw.usp.decoded = decodeUSPString(raw.usp.uspString);
+  return raw;
+}
+
+/**
+ * Reduce GPP/USP data of one phase to opt-out signals.
+ * Each value: true (opted out), false (not opted out), null (not signalled).
+ */
+function summarizeUSOptOut(privacy) {
+  const summary = { saleOptOut: null, sharingOptOut: null, targetedAdvertisingOptOut: null, sources: [] };
+  if (!privacy) return summary;
+
+  const merge = (key, value, source) => {
+    if (value === null || value === undefined) return;
+    summary[key] = summary[key] === true ? true : value;
+    if (!summary.sources.includes(source)) summary.sources.push(source);
+  };
+
+  for (const [name, section] of Object.entries(privacy.gpp?.decoded?.sections || {})) {
+    if (!GPP_US_CORE_FIELDS[name] || section.error) continue;
+    merge('saleOptOut', GPP_OPT_OUT_VALUES[section.SaleOptOut], name);
+    merge('sharingOptOut', GPP_OPT_OUT_VALUES[section.SharingOptOut], name);
+    merge('targetedAdvertisingOptOut', GPP_OPT_OUT_VALUES[section.TargetedAdvertisingOptOut], name);
+  }
+  const gppUsp = privacy.gpp?.decoded?.sections?.uspv1;
+  if (gppUsp && !gppUsp.error) merge('saleOptOut', gppUsp.saleOptOut, 'uspv1');
+  const usp = privacy.usp?.decoded;
+  if (usp && !usp.error) merge('saleOptOut', usp.saleOptOut, 'usp');
+
+  return summary;
+}
+
+/**
+ * Opt-out signals per consent phase plus advertising trackers that still
+ * fire in a phase where sale/share/targeted-advertising opt-out is signalled.
+ */
+function analyzeUSPrivacy(data) {
+  const phases = ['preConsent', 'postAccept', 'postReject'];
+  if (!phases.some(p => data[p]?.usPrivacy)) return null;
+
+  const signals = {};
+  const violations = [];
+  for (const phase of phases) {
+    const s = summarizeUSOptOut(data[phase]?.usPrivacy);
+    signals[phase] = s;
+    const optedOut = s.saleOptOut === true || s.sharingOptOut === true || s.targetedAdvertisingOptOut === true;
+    if (!optedOut) continue;
+    for (const t of data[phase]?.trackers || []) {
+      if (!['advertising', 'retargeting'].includes(t.category)) continue;
+      violations.push({ phase, tracker: t.product || t.vendor, hostnames: t.hostnames });
+    }
+  }
+  return { signals, violations };
+}
+
+// ── Compliance Rules ──────────────────────────────────────────────────────────
+
+const RULE_PHASES = {
+  preConsent: 'Pre-Consent',
+  postAccept: 'Post-Accept',
+  postReject: 'Post-Reject',
+  ecommerce: 'E-Commerce',
+};
+
+/**
+ * Simple wildcard match ('*' = any characters), case-sensitive like cookie names.
+ */
+function matchesWildcard(value, pattern) {
+  if (!pattern.includes('*')) return value === pattern;
+  const re = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return re.test(value);
+}
+
+/**
+ * Collect trackers, cookies and consent mode params of one rule phase.
+ * Consent phases use their diffs (Pre-Consent: full state), E-Commerce merges all steps.
+ */
+function getRulePhaseData(data, phase) {
+  if (phase === 'ecommerce') {
+    const steps = data.ecommerce || [];
+    return {
+      trackers: steps.flatMap(s => s.trackers),
+      cookies: steps.flatMap(s => s.cookiesDiff),
+      consentMode: steps.flatMap(s => s.consentMode || []),
+    };
+  }
+  const p = data[phase] || {};
+  return {
+    trackers: p.trackers || [],
+    cookies: (phase === 'preConsent' ? p.cookies : p.cookiesDiff) || [],
+    consentMode: p.consentMode || [],
+  };
+}
+
+function trackerMatchesRule(t, rule) {
+  if (t.vendor === 'Sonstige Third-Party' && !rule.includeUnknown) return false;
+  if (rule.allow && rule.allow.includes(t.key)) return false;
+  if (rule.category && t.category !== rule.category) return false;
+  if (rule.vendor && t.vendor !== rule.vendor) return false;
+  if (rule.tracker && t.key !== rule.tracker) return false;
+  return true;
+}
+
+/**
+ * Rule checks by type. Each returns { violated, details }.
+ */
+const RULE_CHECKS = {
+  'no-tracker': (rule, phaseData) => {
+    const hits = phaseData.trackers.filter(t => trackerMatchesRule(t, rule));
+    const names = [...new Set(hits.map(t => t.product || t.vendor))];
+    return { violated: names.length > 0, details: names.length ? names.join(', ') : 'keine Treffer' };
+  },
+  'require-tracker': (rule, phaseData) => {
+    const hits = phaseData.trackers.filter(t => trackerMatchesRule(t, rule));
+    const names = [...new Set(hits.map(t => t.product || t.vendor))];
+    return { violated: names.length === 0, details: names.length ? names.join(', ') : 'nicht gefunden' };
+  },
+  'no-new-cookies': (rule, phaseData) => {
+    const ignore = rule.ignore || [];
+    const hits = phaseData.cookies.filter(c => !ignore.some(p => matchesWildcard(c.name, p)));
+    const names = [...new Set(hits.map(c => c.name))];
+    return { violated: names.length > 0, details: names.length ? names.join(', ') : 'keine neuen Cookies' };
+  },
+  'consent-mode': (rule, phaseData) => {
+    const param = rule.param || 'gcs';
+    const values = [...new Set(phaseData.consentMode.map(p => p[param]).filter(v => v && v !== '-'))];
+    if (values.length === 0) return { violated: true, details: `kein ${param} gefunden` };
+    const re = rule.matches ? new RegExp(rule.matches) : null;
+    const bad = values.filter(v => (rule.equals !== undefined && v !== rule.equals) || (re && !re.test(v)));
+    return { violated: bad.length > 0, details: `${param}: ${values.join(', ')}` };
+  },
+  'consent-mode-transition': (rule, phaseData, data) => {
+    const status = data.consentModeTransition?.status || 'no_consent_mode';
+    const expected = [].concat(rule.status || 'update_ok');
+    return { violated: !expected.includes(status), details: `Status: ${status}` };
+  },
+};
+
+/**
+ * Load and validate a rules file. Throws on unknown types/phases so a typo
+ * fails before any browser is launched.
+ */
+function loadRules(rulesPath) {
+  const parsed = JSON.parse(readFileSync(rulesPath, 'utf-8'));
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(rules)) throw new Error(`${rulesPath}: "rules" Array fehlt`);
+
+  rules.forEach((rule, i) => {
+    const label = rule.id || `#${i + 1}`;
+    if (!RULE_CHECKS[rule.type]) {
+      throw new Error(`Regel ${label}: unbekannter Typ "${rule.type}" (erlaubt: ${Object.keys(RULE_CHECKS).join(', ')})`);
+    }
+    if (!rule.phase && rule.type !== 'consent-mode-transition') {
+      throw new Error(`Regel ${label}: "phase" fehlt`);
+    }
+    for (const phase of [].concat(rule.phase || [])) {
+      if (!RULE_PHASES[phase]) {
+        throw new Error(`Regel ${label}: unbekannte Phase "${phase}" (erlaubt: ${Object.keys(RULE_PHASES).join(', ')})`);
+      }
+    }
+    if (rule.matches !== undefined) {
+      try {
+        new RegExp(rule.matches);
+      } catch (err) {
+        throw new Error(`Regel ${label}: ungültiger regulärer Ausdruck in "matches" (${err.message})`);
+      }
+    }
+    if (rule.severity && !['fail', 'warn'].includes(rule.severity)) {
+      throw new Error(`Regel ${label}: severity muss "fail" oder "warn" sein`);
+    }
+  });
+  return rules;
+}
+
+/**
+ * Evaluate all rules against the collected report data.
+ * Returns [{ id, description, type, phases, verdict: 'PASS'|'FAIL'|'WARN', details }].
+ */
+function evaluateRules(rules, data) {
+  return rules.map((rule, i) => {
+    const phases = [].concat(rule.phase || []);
+    const check = RULE_CHECKS[rule.type];
+    const results = (phases.length ? phases : [null]).map(phase => {
+      const phaseData = phase ? getRulePhaseData(data, phase) : { trackers: [], cookies: [], consentMode: [] };
+      const r = check(rule, phaseData, data);
+      return { ...r, details: phase && phases.length > 1 ? `${RULE_PHASES[phase]}: ${r.details}` : r.details };
+    });
+    const violated = results.some(r => r.violated);
+    return {
+      id: rule.id || `rule-${i + 1}`,
+      description: rule.description || null,
+      type: rule.type,
+      phases,
+      verdict: !violated ? 'PASS' : (rule.severity === 'warn' ? 'WARN' : 'FAIL'),
+      details: results.map(r => r.details).join('; '),
+    };
+  });
+}
+
+// ── HAR Export ────────────────────────────────────────────────────────────────
+
+function buildHAR(collectors, pageUrl) {
+  const allRequests = collectors.flatMap(c => c.full());
+  const entries = allRequests.map(r => ({
+    startedDateTime: new Date(r.startTime).toISOString(),
+    time: r.endTime ? r.endTime - r.startTime : 0,
+    request: {
+      method: r.method,
+      url: r.url,
+      httpVersion: 'HTTP/1.1',
+      headers: Object.entries(r.headers || {}).map(([name, value]) => ({ name, value })),
+      queryString: (() => {
+        try { return [...new URL(r.url).searchParams].map(([name, value]) => ({ name, value })); }
+        catch { return []; }
+      })(),
+      cookies: [],
+      headersSize: -1,
+      bodySize: r.postData ? r.postData.length : 0,
+      ...(r.postData ? { postData: { mimeType: 'application/x-www-form-urlencoded', text: r.postData } } : {}),
+    },
+    response: {
+      status: r.status || 0,
+      statusText: '',
+      httpVersion: 'HTTP/1.1',
+      headers: Object.entries(r.responseHeaders || {}).map(([name, value]) => ({ name, value })),
+      cookies: [],
+      content: { size: 0, mimeType: '' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: r.endTime ? r.endTime - r.startTime : 0, receive: 0 },
+    _phase: r.phase,
+  }));
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'audit.js', version: '1.0' },
+      pages: [{
+        startedDateTime: entries.length > 0 ? entries[0].startedDateTime : new Date().toISOString(),
+        id: 'page_1',
+        title: `Audit: ${pageUrl}`,
+        pageTimings: {},
+      }],
+      entries,
+    },
+  };
+}
+
+// ── Report Generation ─────────────────────────────────────────────────────────
+
+function formatLifetimeDays(days) {
+  if (days === 0) return 'Session';
+  if (days >= 365 && days % 365 < 30) return `${Math.round(days / 365)} J.`;
+  return `${days} T.`;
+}
+
+/** Actual remaining lifetime – unlike formatLifetimeDays, 0 days is not a session cookie. */
+function formatCookieLifetime(days) {
+  return days < 1 ? '< 1 T.' : formatLifetimeDays(days);
+}
 
 function formatCookieTable(cookies) {
   if (!cookies.length) return '_Keine Cookies._\n';
-  let md = '| Name | Domain | Value | httpOnly | secure | sameSite |\n';
-  md += '|------|--------|-------|----------|--------|----------|\n';
+  let md = '| Name | Domain | Vendor | Kategorie | Laufzeit | Value | httpOnly | secure | sameSite |\n';
+  md += '|------|--------|--------|-----------|----------|-------|----------|--------|----------|\n';
   for (const c of cookies) {
-    md += `| ${c.name} | ${c.domain} | \`${truncate(c.value, 60)}\` | ${c.httpOnly} | ${c.secure} | ${c.sameSite} |\n`;
+    const info = classifyCookie(c.name);
+    const vendor = info ? (info.product || info.vendor) : '–';
+    const category = info ? (info.category === 'marketing' ? '**marketing**' : info.category) : '_unbekannt_';
+    const typical = info && info.lifetimeDays !== undefined ? formatLifetimeDays(info.lifetimeDays) : null;
+    const actual = c.lifetimeDays === null ? 'Session' : (c.lifetimeDays !== undefined ? formatCookieLifetime(c.lifetimeDays) : null);
+    const lifetime = actual
+      ? (typical && typical !== actual ? `${actual} (typ. ${typical})` : actual)
+      : (typical ? `typ. ${typical}` : '–');
+    md += `| ${c.name} | ${c.domain} | ${vendor} | ${category} | ${lifetime} | \`${truncate(c.value, 60)}\` | ${c.httpOnly} | ${c.secure} | ${c.sameSite} |\n`;
   }
   return md;
 }
 
-function formatLocalStorageTable(ls) {
-  const entries = Object.entries(ls);
-  if (!entries.length) return '_Kein localStorage._\n';
-  let md = '| Key | Value |\n';
-  md += '|-----|-------|\n';
+function formatLocalStorageTable(ls, emptyText = '_Kein localStorage._', keyLabel = 'Key', valueLabel = 'Value') {
+  const entries = Object.entries(ls || {});
+  if (!entries.length) return `${emptyText}\n`;
+  let md = `| ${keyLabel} | ${valueLabel} |\n`;
+  md += `|${'-'.repeat(keyLabel.length + 2)}|${'-'.repeat(valueLabel.length + 2)}|\n`;
   for (const [key, val] of entries) {
     md += `| ${key} | \`${truncate(val, 60)}\` |\n`;
   }
   return md;
 }
 
+const STORE_LABELS = {
+  cookies: 'Cookie',
+  localStorage: 'localStorage',
+  sessionStorage: 'sessionStorage',
+  indexedDB: 'IndexedDB',
+  cacheStorage: 'Cache Storage',
+};
+
+/**
+ * Changed/removed values of all stores (from diffValueChanges) as one table.
+ */
+function formatValueChanges(changes) {
+  const rows = [];
+  for (const [store, diff] of Object.entries(changes || {})) {
+    const label = (item) => (store === 'cookies' ? `${item.name} (${item.domain})` : item.key);
+    for (const c of diff.changed) rows.push([STORE_LABELS[store], label(c), 'geaendert', c.before, c.after]);
+    for (const r of diff.removed) rows.push([STORE_LABELS[store], label(r), 'entfernt', r.value, null]);
+  }
+  if (!rows.length) return '_Keine geaenderten oder entfernten Werte._\n';
+  let md = '| Speicher | Key | Aenderung | vorher | nachher |\n';
+  md += '|----------|-----|-----------|--------|---------|\n';
+  for (const [store, key, kind, before, after] of rows) {
+    const value = (v) => (v === null || v === undefined ? '–' : `\`${truncate(v, 40)}\``);
+    md += `| ${store} | ${key} | ${kind} | ${value(before)} | ${value(after)} |\n`;
+  }
+  return md;
+}
+
+/**
+ * sessionStorage, IndexedDB and Cache Storage subsections for one phase.
+ * suffix: '' for full snapshots (Pre-Consent), 'Diff' for phase diffs.
+ */
+function formatBrowserStorageSections(phase, suffix = '', level = '###') {
+  const label = suffix ? ` (${suffix})` : '';
+  let md = `${level} sessionStorage${label}\n\n`;
+  md += formatLocalStorageTable(phase[`sessionStorage${suffix}`], '_Kein sessionStorage._');
+  md += '\n';
+  md += `${level} IndexedDB${label}\n\n`;
+  md += formatLocalStorageTable(phase[`indexedDB${suffix}`], '_Keine IndexedDB-Datenbanken._', 'Datenbank/Store', 'Inhalt');
+  md += '\n';
+  md += `${level} Cache Storage${label}\n\n`;
+  md += formatLocalStorageTable(phase[`cacheStorage${suffix}`], '_Kein Cache Storage._', 'Cache', 'Inhalt');
+  md += '\n';
+  return md;
+}
+
 function formatDataLayer(dl) {
   if (!dl.length) return '_dataLayer leer oder nicht vorhanden._\n';
   let md = '```json\n';
@@ -1301,6 +3670,164 @@ function formatDataLayer(dl) {
   return md;
 }
 
+/**
+ * Non-GTM data layers of a phase: entries of array layers (adobeDataLayer),
+ * snapshots of object layers (digitalData, utag.data).
+ */
+function formatDataLayerSources(sources, level = '###', diffLabel = ' (Diff)') {
+  let md = '';
+  for (const [name, value] of Object.entries(sources || {})) {
+    if (Array.isArray(value)) {
+      md += `${level} ${name}${diffLabel}\n\n`;
+      md += formatDataLayer(value);
+    } else {
+      md += `${level} ${name} (Snapshot)\n\n`;
+      md += '```json\n' + JSON.stringify(value, null, 2) + '\n```\n';
+    }
+    md += '\n';
+  }
+  return md;
+}
+
+/**
+ * Decoded GA4 events of one phase/step (from decodeGA4Hits). Empty string if none.
+ */
+function formatGA4Events(events, level = '###') {
+  if (!events || !events.length) return '';
+  const cell = (v) => truncate(String(v), 60).replace(/\|/g, '\\|');
+  let md = `${level} GA4 Events\n\n`;
+  md += '| Event | Tag | Seite | Parameter | Items | cid / sid | gcs |\n';
+  md += '|-------|-----|-------|-----------|-------|-----------|-----|\n';
+  for (const e of events) {
+    const params = Object.entries({ ...e.params, ...e.userProps }).map(([k, v]) => `${k}=${v}`).join(', ');
+    const items = e.items.map(i => i.item_id || i.item_name || '?').join(', ');
+    let page = e.pageLocation || '–';
+    try { page = new URL(e.pageLocation).pathname; } catch { /* keep raw */ }
+    const flags = [e.sessionStart && '_ss', e.firstVisit && '_fv'].filter(Boolean).join(' ');
+    md += `| ${e.event}${flags ? ` (${flags})` : ''} | ${e.measurementId || '–'} | ${cell(page)} | ${params ? cell(params) : '–'} | ${items ? cell(items) : '–'} | ${e.clientId || '–'} / ${e.sessionId || '–'} | ${e.consent.gcs || '–'} |\n`;
+  }
+  return md + '\n';
+}
+
+/**
+ * Decoded Meta Pixel events of one phase/step (from decodeMetaHits). Empty string if none.
+ */
+function formatMetaEvents(events, level = '###') {
+  if (!events || !events.length) return '';
+  const cell = (v) => truncate(String(v), 60).replace(/\|/g, '\\|');
+  let md = `${level} Meta Pixel Events\n\n`;
+  md += '| Event | Pixel | eid | Custom Data | Advanced Matching |\n';
+  md += '|-------|-------|-----|-------------|-------------------|\n';
+  for (const e of events) {
+    const cd = Object.entries(e.customData)
+      .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ');
+    const eid = e.eventId ? `\`${truncate(e.eventId, 24)}\`` : (META_REQUIRED_PARAMS[e.event] ? '⚠️ fehlt' : '–');
+    const ud = e.userData.map(u => (u.hashed ? u.field : `${u.field} (Klartext)`)).join(', ');
+    md += `| ${e.event} | ${e.pixelId || '–'} | ${eid} | ${cd ? cell(cd) : '–'} | ${ud || '–'} |\n`;
+  }
+  return md + '\n';
+}
+
+/**
+ * Meta standard event checks of one E-Commerce step (from validateMetaStep).
+ */
+function formatMetaValidation(v) {
+  if (!v) return '';
+  let md = '#### Meta Pixel Validierung\n\n';
+  if (v.expected && v.found && !v.issues.length) return md + `✓ ${v.expected} mit allen Parametern und eid gesendet\n\n`;
+  if (!v.issues.length) return md + '_Keine Auffaelligkeiten._\n\n';
+  for (const i of v.issues) md += `- ⚠️ **${i.event}:** ${i.issue}\n`;
+  return md + '\n';
+}
+
+/**
+ * --form result: filled fields, submit status, where the test email was sent.
+ */
+function formatFormTestSection(ft) {
+  if (!ft) return '';
+  let md = '## Formular-Test\n\n';
+  md += `**Formular:** ${ft.url} | **Test-E-Mail:** \`${ft.identity.email}\`\n\n`;
+  md += `- Ausgefuellt: ${ft.fields.map(f => `${f.field} (${f.identityKey})`).join(', ') || '_keine Felder_'}\n`;
+  md += `- Abgeschickt: ${ft.submitted ? 'ja' : `nein${ft.error ? ` – ${ft.error}` : ''}`}\n`;
+  if (!ft.hits) return md + '\n';
+  md += `- Enhanced Conversions (Google): ${ft.enhancedConversions ? '✓ Test-E-Mail gehasht gesendet' : '✗ keine gehashte Test-E-Mail in Google-Requests'}\n`;
+  md += `- Advanced Matching (Meta): ${ft.advancedMatching ? '✓ Test-E-Mail gehasht gesendet' : '✗ keine gehashte Test-E-Mail in Meta-Requests'}\n`;
+  if (ft.plaintext.length > 0) {
+    md += `- ⚠️ Test-E-Mail im Klartext an: ${ft.plaintext.map(h => h.product ? `${h.product} (${h.host})` : h.host).join(', ')}\n`;
+  }
+  md += '\n';
+  if (ft.hits.length > 0) {
+    md += '| Empfaenger | Host | Form |\n';
+    md += '|------------|------|------|\n';
+    for (const h of ft.hits) {
+      md += `| ${h.product || h.vendor} | ${h.host} | ${h.encoding === 'sha256' ? 'SHA-256' : '⚠️ Klartext'} |\n`;
+    }
+    md += '\n';
+  }
+  return md;
+}
+
+/**
+ * Personal data found in third-party requests (from scanRequestsForPII).
+ */
+function formatPIISection(findings) {
+  if (!findings) return '';
+  let md = '## PII an Dritte\n\n';
+  if (!findings.length) return md + '_Keine personenbezogenen Daten in Third-Party-Requests gefunden._\n\n';
+  const plain = findings.filter(f => !f.hashed);
+  if (plain.length > 0) {
+    md += `**⚠️ ${plain.length} Klartext-Fund${plain.length > 1 ? 'e' : ''}** – personenbezogene Daten werden unverschluesselt an Dritte uebertragen.\n\n`;
+  }
+  md += '| Phase | Empfaenger | Typ | Form | Fundort | Feld | Wert (maskiert) |\n';
+  md += '|-------|------------|-----|------|---------|------|-----------------|\n';
+  for (const f of [...plain, ...findings.filter(x => x.hashed)]) {
+    const recipient = f.product ? `${f.product} (${f.host})` : f.host;
+    const form = f.hashed ? 'SHA-256' : '⚠️ Klartext';
+    md += `| ${formatTimelinePhaseLabel(f.phase)} | ${recipient} | ${PII_TYPE_LABELS[f.type] || f.type} | ${form} | ${f.location} | ${f.key ? `\`${f.key}\`` : '–'} | \`${f.sample}\` |\n`;
+  }
+  return md + '\n';
+}
+
+/**
+ * Purchase step checks per platform (from analyzePurchase).
+ */
+function formatPurchaseValidation(v, order) {
+  if (!v) return '';
+  let md = '#### Kauf-Validierung\n\n';
+  if (order && order.mode === 'stub' && order.stubbedRequests.length) {
+    md += `_Bestellung abgefangen (${order.stubbedRequests.join(', ')}), keine echte Bestellung ausgeloest._\n\n`;
+  } else if (order && order.mode === 'stub') {
+    md += '⚠️ Beim Bestell-Klick wurde kein Request abgefangen – eine echte Bestellung ist nicht ausgeschlossen, bitte im Shop-Backend pruefen.\n\n';
+  }
+  md += '| Plattform | Gesendet | Transaktions-ID | value | currency | Befund |\n';
+  md += '|-----------|----------|-----------------|-------|----------|--------|\n';
+  for (const c of v.checks) {
+    const status = c.found ? '✓' : '✗';
+    const issues = c.issues.length ? `⚠️ ${c.issues.join('; ')}` : '✓ konsistent';
+    md += `| ${c.platform} | ${status} | ${c.transactionId ?? '–'} | ${c.value ?? '–'} | ${c.currency ?? '–'} | ${issues} |\n`;
+  }
+  return md + '\n';
+}
+
+const RECONCILIATION_STATUS = { ok: '✓ gesendet', missing: '⚠️ nicht gesendet', mismatch: '⚠️ Abweichung' };
+
+/**
+ * dataLayer ecommerce events vs. sent hits of one E-Commerce step (from reconcileEcomStep).
+ */
+function formatReconciliation(rec) {
+  if (!rec || !rec.events.length) return '';
+  let md = '#### Abgleich dataLayer / Hits\n\n';
+  md += '| dataLayer Event | Plattform | Status | Abweichungen |\n';
+  md += '|-----------------|-----------|--------|--------------|\n';
+  for (const e of rec.events) {
+    const label = e.rawEvent && e.rawEvent !== e.event ? `${e.rawEvent} (${e.event})` : e.event;
+    const diffs = e.mismatches.map(m => `${m.field}: DL \`${truncate(m.dataLayer, 40)}\` / Hit \`${truncate(m.hit, 40)}\``).join('; ') || '–';
+    const status = RECONCILIATION_STATUS[e.status] + (e.late ? ' (verzoegert im Folgeschritt)' : '');
+    md += `| ${label} | ${e.platform} | ${status} | ${diffs} |\n`;
+  }
+  return md + '\n';
+}
+
 function formatTrackerSection(deduped) {
   const known = deduped.filter(d => d.key !== null);
   const other = deduped.filter(d => d.key === null);
@@ -1345,9 +3872,27 @@ function formatConsentMode(params) {
   for (const p of params) {
     md += `| ${p.gcs} | ${p.gcd} | ${p.event || '–'} | \`${p.url}\` |\n`;
   }
+
+  // Decoded gcd values (one row per distinct value)
+  const seen = new Set();
+  const decoded = params.filter(p => p.gcdSignals && !seen.has(p.gcd) && seen.add(p.gcd));
+  if (decoded.length > 0) {
+    md += '\n**gcd dekodiert:**\n\n';
+    md += '| gcd | ' + GCD_SIGNALS.join(' | ') + ' |\n';
+    md += '|-----|' + GCD_SIGNALS.map(() => '---').join('|') + '|\n';
+    for (const p of decoded) {
+      md += `| ${p.gcd} | ` + GCD_SIGNALS.map(s => formatGcdSignal(p.gcdSignals[s])).join(' | ') + ' |\n';
+    }
+  }
   return md;
 }
 
+function formatGcdSignal(signal) {
+  if (!signal) return '–';
+  const icon = signal.state === 'granted' ? '✓' : signal.state === 'denied' ? '✗' : '⚠️';
+  return `${icon} ${signal.label}`;
+}
+
 function formatSSTSection(sstData) {
   if (!sstData || !hasSSTDetected(sstData)) return '';
 
@@ -1436,6 +3981,7 @@ function formatTrackingFeaturesSection(deepAnalysis) {
   const { features, measurementIds } = deepAnalysis;
   const hasFindings = features.enhancedConversions?.active ||
                       features.remarketing.length > 0 ||
+                      features.adPixels?.length > 0 ||
                       (features.metaSetup && (features.metaSetup.hasBrowserPixel || features.metaSetup.hasFirstPartyEvents || features.metaSetup.hasFbpCookie));
 
   if (!hasFindings && measurementIds.length === 0) return '';
@@ -1480,6 +4026,157 @@ function formatTrackingFeaturesSection(deepAnalysis) {
     md += '\n';
   }
 
+  if (features.adPixels?.length > 0) {
+    md += '**Weitere Ad-Pixel**\n\n';
+    md += '| Produkt | Tag-IDs | Events | E-Commerce-Daten | Hashed PII |\n';
+    md += '|---------|---------|--------|------------------|------------|\n';
+    for (const p of features.adPixels) {
+      const ecom = p.ecommerceEvents > 0 ? `✓ ${p.ecommerceEvents} Event${p.ecommerceEvents > 1 ? 's' : ''}` : '–';
+      md += `| ${p.product} | ${p.tagIds.join(', ') || '–'} | ${p.events.join(', ') || '–'} | ${ecom} | ${p.hashedFields.join(', ') || '–'} |\n`;
+    }
+    md += '\n';
+  }
+
+  return md;
+}
+
+/**
+ * TikTok/Pinterest/LinkedIn/UET events of one E-Commerce step (from decodeAdPixelHits).
+ */
+function formatAdPixelEvents(events) {
+  if (!events || !events.length) return '';
+  let md = '#### Weitere Ad-Pixel\n\n';
+  md += '| Produkt | Tag-ID | Event | value / currency | Content-IDs | Hashed PII |\n';
+  md += '|---------|--------|-------|------------------|-------------|------------|\n';
+  for (const e of events) {
+    const value = e.value !== null ? `${e.value}${e.currency ? ` ${e.currency}` : ''}` : '–';
+    md += `| ${e.product} | ${e.tagId || '–'} | ${e.event} | ${value} | ${truncate(e.contentIds.join(', '), 60) || '–'} | ${e.hashedFields.join(', ') || '–'} |\n`;
+  }
+  return md + '\n';
+}
+
+const TCF_PHASE_LABELS = { preConsent: 'Pre-Consent', postAccept: 'Post-Accept', postReject: 'Post-Reject' };
+
+function formatTCFSection(data) {
+  const analysis = data.tcfAnalysis;
+  if (!analysis) return '';
+
+  const ids = (list) => (list && list.length ? list.join(', ') : '–');
+  let md = '## IAB TCF v2.2\n\n';
+  md += '| Phase | Quelle | CMP-ID / Version | Purposes (Consent) | Purposes (LI) | Special Features | Vendor-Consents |\n';
+  md += '|-------|--------|------------------|--------------------|---------------|------------------|-----------------|\n';
+  for (const [phase, label] of Object.entries(TCF_PHASE_LABELS)) {
+    const tcf = data[phase]?.tcf;
+    if (!tcf) {
+      md += `| ${label} | – | – | – | – | – | – |\n`;
+      continue;
+    }
+    const d = tcf.decoded;
+    if (!d || d.error) {
+      md += `| ${label} | ${tcf.source} | ${tcf.cmpId ?? '–'} | _${d ? d.error : 'kein TC-String'}_ | – | – | – |\n`;
+      continue;
+    }
+    md += `| ${label} | ${tcf.source} | ${d.cmpId} / ${d.cmpVersion} | ${ids(d.purposeConsents)} | ${ids(d.purposeLegitimateInterests)} | ${ids(d.specialFeatureOptIns)} | ${d.vendorConsents.length} |\n`;
+  }
+  md += '\n';
+
+  if (analysis.reject) {
+    const r = analysis.reject;
+    if (r.deniesAll) {
+      md += '**Post-Reject:** ✓ TC-String verweigert alle Purposes, Special Features und Vendor-Consents';
+      md += r.legitimateInterestPurposes.length ? ` (Legitimate Interest weiterhin für Purposes ${r.legitimateInterestPurposes.join(', ')})\n\n` : '\n\n';
+    } else {
+      md += `**Post-Reject:** ⚠️ TC-String enthält trotz Reject Consent – Purposes: ${ids(r.purposeConsents)}, Special Features: ${ids(r.specialFeatureOptIns)}, Vendors: ${r.vendorConsentCount}\n\n`;
+    }
+  } else {
+    md += '**Post-Reject:** _Kein TC-String nach Reject erfasst._\n\n';
+  }
+
+  if (analysis.vendorChecks.length > 0) {
+    md += '**TCF-Vendors im Netzwerk-Traffic:**\n\n';
+    md += '| Phase | Tracker | GVL-ID | Vendor-Consent | Legitimate Interest |\n';
+    md += '|-------|---------|--------|----------------|---------------------|\n';
+    for (const v of analysis.vendorChecks) {
+      md += `| ${TCF_PHASE_LABELS[v.phase]} | ${v.tracker} | ${v.vendorId} | ${v.consent ? '✓' : '⚠️ nein'} | ${v.legitimateInterest ? 'ja' : '–'} |\n`;
+    }
+    md += '\n';
+  }
+
+  return md;
+}
+
+function formatUSPrivacySection(data) {
+  const analysis = data.usPrivacyAnalysis;
+  if (!analysis) return '';
+
+  const flag = (v) => (v === true ? '⛔ Opt-Out' : v === false ? 'kein Opt-Out' : '–');
+  let md = '**US Privacy (GPP / USP):**\n\n';
+  md += '| Phase | GPP-Sektionen | USP | Sale | Sharing | Targeted Ads |\n';
+  md += '|-------|---------------|-----|------|---------|--------------|\n';
+  for (const [phase, label] of Object.entries(TCF_PHASE_LABELS)) {
+    const privacy = data[phase]?.usPrivacy;
+    const gpp = privacy?.gpp?.decoded;
+    const sections = gpp ? (gpp.error ? `_${gpp.error}_` : gpp.sectionIds.map(id => GPP_SECTION_NAMES[id] || id).join(', ') || '–') : '–';
+    const usp = privacy?.usp ? `\`${privacy.usp.uspString}\`` : '–';
+    const s = analysis.signals[phase];
+    md += `| ${label} | ${sections} | ${usp} | ${flag(s.saleOptOut)} | ${flag(s.sharingOptOut)} | ${flag(s.targetedAdvertisingOptOut)} |\n`;
+  }
+  md += '\n';
+
+  if (analysis.violations.length > 0) {
+    md += `⚠️ **${analysis.violations.length} Werbe-Tracker trotz Opt-Out aktiv:**\n`;
+    for (const v of analysis.violations) {
+      md += `- ${TCF_PHASE_LABELS[v.phase]}: ${v.tracker} (${v.hostnames.join(', ')})\n`;
+    }
+    md += '\n';
+  }
+
+  return md;
+}
+
+function formatCookieComplianceSection(cc) {
+  if (!cc) return '';
+
+  let md = '## Cookie-Compliance\n\n';
+
+  md += `### Laufzeit ueber ${cc.maxDays} Tage\n\n`;
+  if (cc.tooLong.length > 0) {
+    md += '| Cookie | Domain | Phase | Laufzeit | typisch |\n';
+    md += '|--------|--------|-------|----------|---------|\n';
+    for (const c of cc.tooLong) {
+      const typical = c.typicalDays !== null ? formatLifetimeDays(c.typicalDays) : '–';
+      md += `| ${c.name} | ${c.domain} | ${c.phase} | ${formatCookieLifetime(c.lifetimeDays)} | ${typical} |\n`;
+    }
+    md += '\n';
+  } else {
+    md += '_Keine Cookies mit zu langer Laufzeit._\n\n';
+  }
+
+  md += '### Third-Party ohne SameSite=None; Secure\n\n';
+  if (cc.insecureThirdParty.length > 0) {
+    md += '| Cookie | Domain | Phase | sameSite | secure |\n';
+    md += '|--------|--------|-------|----------|--------|\n';
+    for (const c of cc.insecureThirdParty) {
+      md += `| ${c.name} | ${c.domain} | ${c.phase} | ${c.sameSite} | ${c.secure} |\n`;
+    }
+    md += '\n';
+  } else {
+    md += '_Alle Third-Party-Cookies mit SameSite=None; Secure._\n\n';
+  }
+
+  md += '### Geaenderte Werte nach Reject\n\n';
+  if (cc.changedAfterReject.length > 0) {
+    md += '| | Cookie | Domain | Kategorie | vorher | nachher |\n';
+    md += '|-|--------|--------|-----------|--------|---------|\n';
+    for (const c of cc.changedAfterReject) {
+      const icon = c.category === 'necessary' ? '' : '⚠️';
+      md += `| ${icon} | ${c.name} | ${c.domain} | ${c.category || '_unbekannt_'} | \`${truncate(c.before, 40)}\` | \`${truncate(c.after, 40)}\` |\n`;
+    }
+    md += '\n';
+  } else {
+    md += '_Keine bestehenden Cookies nach Reject veraendert._\n\n';
+  }
+
   return md;
 }
 
@@ -1493,6 +4190,8 @@ function formatProductAnalysis(analysis) {
     ga4: 'GA4 (`ecommerce.items[]`)',
     ua: 'Universal Analytics (`ecommerce.{action}.products[]`)',
     proprietary: `Proprietary (\`${analysis.formatPath || 'custom'}\`)`,
+    ceddl: `W3C CEDDL (\`digitalData.${analysis.formatPath || 'product'}[]\`)`,
+    acdl: `Adobe Client Data Layer (\`${analysis.formatPath || 'productListItems'}\`)`,
   };
   md += `**Format:** ${formatLabels[analysis.format] || analysis.format}\n\n`;
 
@@ -1542,22 +4241,116 @@ function formatProductAnalysis(analysis) {
     if (c.consistentProps.length > 0) {
       md += `**Konsistenz:** ${c.consistentProps.join(', ')} stimmen über ${stepsInvolved} überein.\n`;
     }
-    if (c.inconsistentProps.length > 0) {
-      md += '\n**Inkonsistenzen:**\n\n';
-      for (const inc of c.inconsistentProps) {
-        const details = inc.values.map(v => `${v.step}: "${v.value}"`).join(', ');
-        md += `- **${inc.prop}**: ${details}\n`;
-      }
+    if (c.inconsistentProps.length > 0) {
+      md += '\n**Inkonsistenzen:**\n\n';
+      for (const inc of c.inconsistentProps) {
+        const details = inc.values.map(v => `${v.step}: "${v.value}"`).join(', ');
+        md += `- **${inc.prop}**: ${details}\n`;
+      }
+    }
+    md += '\n';
+  }
+
+  return md;
+}
+
+function formatRulesSection(ruleResults) {
+  if (!ruleResults || ruleResults.length === 0) return '';
+
+  const icons = { PASS: '✓', FAIL: '✗', WARN: '⚠' };
+  let md = '## Compliance-Regeln\n\n';
+  md += '| Verdict | Regel | Phase | Details |\n';
+  md += '|---------|-------|-------|---------|\n';
+  for (const r of ruleResults) {
+    const label = r.description ? `${r.id} – ${r.description}` : r.id;
+    const phases = r.phases.map(p => RULE_PHASES[p]).join(', ') || '–';
+    md += `| ${icons[r.verdict]} ${r.verdict} | ${label} | ${phases} | ${r.details} |\n`;
+  }
+  md += '\n';
+  return md;
+}
+
+function formatCrawlSection(crawl) {
+  if (!crawl || crawl.pages.length === 0) return '';
+
+  const list = (items, warn = false) => (items.length ? `${warn ? '⚠️ ' : ''}${items.join(', ')}` : '–');
+  let md = `## Crawl (${crawl.pages.length} Seiten, ${crawl.templates.length} Templates)\n\n`;
+  md += '_Template = erstes Pfadsegment. Pre-Consent laeuft pro Seite in einem frischen Browser-Kontext, '
+    + 'Post-Accept/Post-Reject im Kontext nach dem Consent-Klick (Cookies: dort erstmals gesetzt)._\n\n';
+
+  md += '### Tracker pro Template\n\n';
+  md += '| Template | Seiten | Pre-Consent | Post-Accept | Post-Reject |\n';
+  md += '|----------|--------|-------------|-------------|-------------|\n';
+  for (const t of crawl.templates) {
+    md += `| \`${t.template}\` | ${t.pages.length} | ${list(t.preConsent.trackers, true)} | ${list(t.postAccept.trackers)} | ${list(t.postReject.trackers, true)} |\n`;
+  }
+  md += '\n';
+
+  md += '### Cookies pro Template\n\n';
+  md += '| Template | Pre-Consent | Post-Accept | Post-Reject |\n';
+  md += '|----------|-------------|-------------|-------------|\n';
+  for (const t of crawl.templates) {
+    md += `| \`${t.template}\` | ${list(t.preConsent.cookies)} | ${list(t.postAccept.cookies)} | ${list(t.postReject.cookies)} |\n`;
+  }
+  md += '\n';
+
+  md += '### Seiten\n\n';
+  md += '| URL | Template | Tracker Pre-Consent | Tracker Post-Accept | Tracker Post-Reject |\n';
+  md += '|-----|----------|---------------------|---------------------|---------------------|\n';
+  const known = (phaseData) => (phaseData?.trackers || []).filter(t => t.vendor !== 'Sonstige Third-Party').length;
+  for (const p of crawl.pages) {
+    md += `| \`${truncate(p.url, 80)}\` | \`${p.template}\` | ${known(p.preConsent)} | ${known(p.postAccept)} | ${known(p.postReject)} |\n`;
+  }
+  md += '\n';
+
+  return md;
+}
+
+function formatTimelinePhaseLabel(phase) {
+  if (TIMELINE_PHASE_LABELS[phase]) return TIMELINE_PHASE_LABELS[phase];
+  if (phase.startsWith('ecom-')) return `E-Commerce: ${phase.slice(5)}`;
+  return phase;
+}
+
+function formatTimelineSection(timeline) {
+  if (!timeline || timeline.length === 0) return '';
+
+  const typeLabels = {
+    consent: '**Consent**', dataLayer: 'dataLayer', script: 'Script', hit: 'Hit', cookie: 'Cookie', csp: 'CSP',
+  };
+  let md = '## Timeline\n\n';
+  md += 'Chronologisch pro Phase, Zeit relativ zum Phasenbeginn. ⚠️ = Tracking-Hit vor dem ersten Consent-Update im jeweiligen Browser.\n\n';
+
+  for (const phase of timeline) {
+    md += `### ${formatTimelinePhaseLabel(phase.phase)}\n\n`;
+    md += '| +ms | Typ | Ereignis | Details |\n';
+    md += '|-----|-----|----------|---------|\n';
+    for (const e of phase.events.slice(0, TIMELINE_MAX_ROWS)) {
+      const offset = Number.isFinite(e.offset) ? Math.max(0, Math.round(e.offset)) : 0;
+      const label = e.consentUpdate || e.type === 'consent' ? `**${e.label}**` : e.label;
+      md += `| ${offset} | ${typeLabels[e.type] || e.type} | ${e.warn ? '⚠️ ' : ''}${label} | ${e.detail ? `\`${truncate(e.detail, 70)}\`` : ''} |\n`;
+    }
+    if (phase.events.length > TIMELINE_MAX_ROWS) {
+      md += `\n_… ${phase.events.length - TIMELINE_MAX_ROWS} weitere Ereignisse (vollstaendig im JSON-Report)_\n`;
     }
     md += '\n';
   }
-
   return md;
 }
 
 function generateTLDR(data) {
   let md = '## Zusammenfassung\n\n';
 
+  if (data.findings && data.findings.length > 0) {
+    md += `**⚠ ${data.findings.length} Audit-Finding${data.findings.length > 1 ? 's' : ''} (siehe Hinweise)**\n\n`;
+  }
+
+  if (data.ruleResults && data.ruleResults.length > 0) {
+    const count = (v) => data.ruleResults.filter(r => r.verdict === v).length;
+    const fail = count('FAIL');
+    md += `**Compliance-Regeln:** ${fail > 0 ? '✗' : '✓'} ${count('PASS')} PASS, ${fail} FAIL, ${count('WARN')} WARN\n\n`;
+  }
+
   // Consent Mode parameters
   const preGcs = data.preConsent.consentMode?.[0];
   const cmtForSummary = data.consentModeTransition;
@@ -1567,13 +4360,23 @@ function generateTLDR(data) {
     ? { gcs: cmtForSummary.postGcs, gcd: cmtForSummary.postGcd || '-' }
     : data.postAccept.consentMode?.[0];
   if (preGcs || postAcceptGcs) {
+    const signalCells = (gcd) => {
+      const signals = decodeGcd(gcd);
+      return GCD_SIGNALS.map(s => formatGcdSignal(signals?.[s])).join(' | ');
+    };
     md += '**Consent Mode:**\n\n';
-    md += '| Phase | gcs | gcd |\n';
-    md += '|-------|-----|-----|\n';
-    if (preGcs) md += `| Pre-Consent | ${preGcs.gcs} | ${preGcs.gcd} |\n`;
-    if (postAcceptGcs) md += `| Post-Accept | ${postAcceptGcs.gcs} | ${postAcceptGcs.gcd} |\n`;
+    md += '| Phase | gcs | gcd | ' + GCD_SIGNALS.join(' | ') + ' |\n';
+    md += '|-------|-----|-----|' + GCD_SIGNALS.map(() => '---').join('|') + '|\n';
+    if (preGcs) md += `| Pre-Consent | ${preGcs.gcs} | ${preGcs.gcd} | ${signalCells(preGcs.gcd)} |\n`;
+    if (postAcceptGcs) md += `| Post-Accept | ${postAcceptGcs.gcs} | ${postAcceptGcs.gcd} | ${signalCells(postAcceptGcs.gcd)} |\n`;
     md += '\n';
 
+    if (cmtForSummary?.v2Missing?.length > 0) {
+      md += `**Consent Mode v2:** ⚠️ ${cmtForSummary.v2Missing.join(', ')} nicht gesetzt\n`;
+      md += `> Seit Maerz 2024 erwartet Google fuer EWR-Traffic explizite Signale fuer ad_user_data und ad_personalization. `;
+      md += `Ohne sie bleiben Remarketing und Conversion-Modellierung eingeschraenkt.\n\n`;
+    }
+
     // Advanced Consent Mode transition verdict
     const cmt = data.consentModeTransition;
     if (cmt) {
@@ -1591,6 +4394,120 @@ function generateTLDR(data) {
     }
   }
 
+  // US Privacy opt-out signals (GPP / USP)
+  md += formatUSPrivacySection(data);
+
+  // IAB TCF
+  if (data.tcfAnalysis) {
+    const tcfa = data.tcfAnalysis;
+    const parts = [];
+    if (tcfa.reject) parts.push(tcfa.reject.deniesAll ? '✓ Reject verweigert alle Purposes' : '⚠️ TC-String enthält nach Reject noch Consent');
+    if (tcfa.vendorsWithoutConsent.length > 0) parts.push(`⚠️ ${tcfa.vendorsWithoutConsent.length} Tracker ohne Vendor-Consent`);
+    if (parts.length > 0) md += `**IAB TCF:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // Marketing cookies (cookie-library.json) before consent / after reject
+  if (data.cookieCategories) {
+    const parts = [];
+    for (const [phase, label] of [['preConsent', 'vor Consent'], ['postReject', 'nach Reject']]) {
+      const marketing = data.cookieCategories[phase].marketing;
+      const analytics = data.cookieCategories[phase].analytics;
+      parts.push(marketing.length
+        ? `⚠️ ${marketing.length} ${label} (${marketing.join(', ')})`
+        : `✓ keine ${label}`);
+      if (analytics.length) parts.push(`${analytics.length} Analytics-Cookie${analytics.length > 1 ? 's' : ''} ${label}`);
+    }
+    md += `**Marketing-Cookies:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // Cookie attributes: lifetime, third-party SameSite, rewritten values after reject
+  if (data.cookieCompliance) {
+    const cc = data.cookieCompliance;
+    const rewritten = cc.changedAfterReject.filter(c => c.category !== 'necessary');
+    const parts = [
+      cc.tooLong.length ? `⚠️ ${cc.tooLong.length} mit Laufzeit > ${cc.maxDays} Tage` : `✓ Laufzeit ≤ ${cc.maxDays} Tage`,
+      cc.insecureThirdParty.length ? `⚠️ ${cc.insecureThirdParty.length} Third-Party ohne SameSite=None; Secure` : '✓ Third-Party-Attribute',
+    ];
+    if (rewritten.length) parts.push(`⚠️ ${rewritten.length} nach Reject neu geschrieben (${rewritten.map(c => c.name).join(', ')})`);
+    md += `**Cookie-Compliance:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // Timeline: tracker hits after the accept click but before the consent update
+  const acceptTimeline = (data.timeline || []).find(p => p.phase === 'post-accept');
+  if (acceptTimeline) {
+    const clickOffset = acceptTimeline.events.find(e => e.type === 'consent')?.offset ?? 0;
+    const early = acceptTimeline.events.filter(e => e.warn && e.offset >= clickOffset);
+    if (early.length > 0) {
+      md += `**Consent-Timing:** ⚠️ ${early.length} Tracking-Hit${early.length > 1 ? 's' : ''} nach dem Accept-Klick, aber vor dem Consent-Update (${[...new Set(early.map(e => e.label))].join(', ')})\n\n`;
+    }
+  }
+
+  // E-Commerce: dataLayer events not sent or sent with different items/values
+  const recEvents = (data.ecommerce || []).flatMap(s => (s.reconciliation?.events || []).map(e => ({ ...e, step: s.name })));
+  if (recEvents.length > 0) {
+    const missing = recEvents.filter(e => e.status === 'missing');
+    const mismatch = recEvents.filter(e => e.status === 'mismatch');
+    const list = (events) => [...new Set(events.map(e => `${e.event} → ${e.platform}`))].join(', ');
+    const parts = [];
+    if (missing.length) parts.push(`⚠️ ${missing.length} nicht gesendet (${list(missing)})`);
+    if (mismatch.length) parts.push(`⚠️ ${mismatch.length} mit abweichenden Items/Werten (${list(mismatch)})`);
+    md += `**E-Commerce-Abgleich:** ${parts.length ? parts.join(' | ') : `✓ alle ${recEvents.length} dataLayer-Events gesendet`}\n\n`;
+  }
+
+  // Form test: Enhanced Conversions / Advanced Matching end-to-end
+  if (data.formTest) {
+    const ft = data.formTest;
+    const parts = [];
+    if (!ft.submitted) parts.push(`⚠️ Formular nicht abgeschickt${ft.error ? ` (${ft.error})` : ''}`);
+    if (ft.hits) {
+      parts.push(ft.enhancedConversions ? '✓ Enhanced Conversions' : '✗ Enhanced Conversions');
+      parts.push(ft.advancedMatching ? '✓ Meta Advanced Matching' : '✗ Meta Advanced Matching');
+      if (ft.plaintext.length) parts.push(`⚠️ E-Mail im Klartext an ${ft.plaintext.map(h => h.product || h.host).join(', ')}`);
+    }
+    md += `**Formular-Test:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // PII sent to third parties
+  if (data.piiFindings && data.piiFindings.length > 0) {
+    const plain = data.piiFindings.filter(f => !f.hashed);
+    const hashed = data.piiFindings.filter(f => f.hashed);
+    const types = (list) => [...new Set(list.map(f => PII_TYPE_LABELS[f.type] || f.type))].join(', ');
+    const hosts = [...new Set(plain.map(f => f.product || f.host))];
+    const parts = [];
+    if (plain.length) parts.push(`⚠️ ${plain.length} Klartext (${types(plain)} an ${hosts.join(', ')})`);
+    if (hashed.length) parts.push(`${hashed.length} gehasht (${types(hashed)})`);
+    md += `**PII an Dritte:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // Purchase tracking across platforms
+  const purchaseValidation = (data.ecommerce || []).find(s => s.purchaseValidation)?.purchaseValidation;
+  if (purchaseValidation) {
+    const parts = purchaseValidation.checks.map(c => (c.issues.length ? `⚠️ ${c.platform}: ${c.issues.join(', ')}` : `✓ ${c.platform}`));
+    md += `**Kauf-Tracking:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // Meta Pixel: standard events without eid or missing per E-Commerce step
+  {
+    const metaEvents = [data.preConsent, data.postAccept, data.postReject, ...(data.ecommerce || [])]
+      .flatMap(p => p.metaEvents || []);
+    const noEid = metaEvents.filter(e => META_REQUIRED_PARAMS[e.event] && !e.eventId);
+    const notSent = (data.ecommerce || []).filter(s => s.metaValidation?.expected && !s.metaValidation.found);
+    const parts = [];
+    if (noEid.length) parts.push(`⚠️ ${noEid.length} Standard-Event${noEid.length > 1 ? 's' : ''} ohne eid (${[...new Set(noEid.map(e => e.event))].join(', ')}) – keine Deduplizierung mit CAPI`);
+    if (notSent.length) parts.push(`⚠️ ${notSent.map(s => `${s.metaValidation.expected} fehlt in ${s.name}`).join(', ')}`);
+    if (parts.length) md += `**Meta Pixel:** ${parts.join(' | ')}\n\n`;
+  }
+
+  // Crawl: templates with trackers before consent / after reject
+  if (data.crawl && data.crawl.templates.length > 0) {
+    const pre = data.crawl.templates.filter(t => t.preConsent.trackers.length > 0).map(t => `\`${t.template}\``);
+    const rej = data.crawl.templates.filter(t => t.postReject.trackers.length > 0).map(t => `\`${t.template}\``);
+    const parts = [`${data.crawl.pages.length} Seiten / ${data.crawl.templates.length} Templates`];
+    parts.push(pre.length ? `⚠️ Tracker vor Consent auf ${pre.join(', ')}` : '✓ keine Tracker vor Consent');
+    parts.push(rej.length ? `⚠️ Tracker nach Reject auf ${rej.join(', ')}` : '✓ keine Tracker nach Reject');
+    md += `**Crawl:** ${parts.join(' | ')}\n\n`;
+  }
+
   // Tracker overview across all phases
   const preKnown = data.preConsent.trackers.filter(t => t.vendor !== 'Sonstige Third-Party');
   const acceptKnown = data.postAccept.trackers.filter(t => t.vendor !== 'Sonstige Third-Party');
@@ -1722,6 +4639,12 @@ function generateReport(data) {
 
   // ── Hinweise ──
   md += '## Hinweise\n\n';
+  if (data.headless) {
+    md += '- Headless-Modus (--headless): keine manuelle Interaktion, Fallbacks als Findings erfasst\n';
+  }
+  for (const f of data.findings || []) {
+    md += `- ⚠ **${f.phase}:** ${f.message}\n`;
+  }
   if (data.serviceWorkers && data.serviceWorkers.length > 0) {
     md += `- Service Worker gefunden: ${data.serviceWorkers.join(', ')}\n`;
     if (data.disabledSW) {
@@ -1732,6 +4655,9 @@ function generateReport(data) {
   }
   md += '\n';
 
+  // ── Compliance-Regeln ──
+  md += formatRulesSection(data.ruleResults);
+
   // Merge Stape findings into SST data for display
   if (data.deepAnalysis?.stapeTransports?.length > 0) {
     if (!data.sst) data.sst = { containers: new Set(), measurementIds: new Set(), loaders: [], collectEndpoints: [] };
@@ -1751,15 +4677,21 @@ function generateReport(data) {
     md += formatTrackingFeaturesSection(data.deepAnalysis);
   }
 
+  // ── IAB TCF ──
+  md += formatTCFSection(data);
+
   // ── Pre-Consent ──
   md += '## Pre-Consent\n\n';
 
   md += '### dataLayer\n\n';
   md += formatDataLayer(data.preConsent.dataLayer);
   md += '\n';
+  md += formatDataLayerSources(data.preConsent.dataLayerSources, '###', '');
 
   md += '### Netzwerk-Requests (Third-Party)\n\n';
   md += formatTrackerSection(data.preConsent.trackers);
+  md += formatGA4Events(data.preConsent.ga4Events);
+  md += formatMetaEvents(data.preConsent.metaEvents);
 
   md += '### Consent Mode Parameter\n\n';
   md += formatConsentMode(data.preConsent.consentMode);
@@ -1773,15 +4705,20 @@ function generateReport(data) {
   md += formatLocalStorageTable(data.preConsent.localStorage);
   md += '\n';
 
+  md += formatBrowserStorageSections(data.preConsent);
+
   // ── Post-Consent: Accept ──
   md += '## Post-Consent: Accept\n\n';
 
   md += '### dataLayer (Diff)\n\n';
   md += formatDataLayer(data.postAccept.dataLayerDiff);
   md += '\n';
+  md += formatDataLayerSources(data.postAccept.dataLayerSources);
 
   md += '### Neue Requests\n\n';
   md += formatTrackerSection(data.postAccept.trackers);
+  md += formatGA4Events(data.postAccept.ga4Events);
+  md += formatMetaEvents(data.postAccept.metaEvents);
 
   md += '### Consent Mode Parameter\n\n';
   md += formatConsentMode(data.postAccept.consentMode);
@@ -1807,15 +4744,24 @@ function generateReport(data) {
   md += formatLocalStorageTable(data.postAccept.localStorageDiff);
   md += '\n';
 
+  md += formatBrowserStorageSections(data.postAccept, 'Diff');
+
+  md += '### Geaenderte / entfernte Werte\n\n';
+  md += formatValueChanges(data.postAccept.changes);
+  md += '\n';
+
   // ── Post-Consent: Reject ──
   md += '## Post-Consent: Reject\n\n';
 
   md += '### dataLayer (Diff)\n\n';
   md += formatDataLayer(data.postReject.dataLayerDiff);
   md += '\n';
+  md += formatDataLayerSources(data.postReject.dataLayerSources);
 
   md += '### Neue Requests\n\n';
   md += formatTrackerSection(data.postReject.trackers);
+  md += formatGA4Events(data.postReject.ga4Events);
+  md += formatMetaEvents(data.postReject.metaEvents);
 
   md += '### Cookies (Diff)\n\n';
   md += formatCookieTable(data.postReject.cookiesDiff);
@@ -1825,6 +4771,12 @@ function generateReport(data) {
   md += formatLocalStorageTable(data.postReject.localStorageDiff);
   md += '\n';
 
+  md += formatBrowserStorageSections(data.postReject, 'Diff');
+
+  md += '### Geaenderte / entfernte Werte\n\n';
+  md += formatValueChanges(data.postReject.changes);
+  md += '\n';
+
   md += '### Auffaelligkeiten (Tracker trotz Reject?)\n\n';
   const rejectTrackers = data.postReject.trackers.filter(t => t.vendor !== 'Sonstige Third-Party');
   if (rejectTrackers.length > 0) {
@@ -1837,6 +4789,18 @@ function generateReport(data) {
     md += '_Keine bekannten Tracker nach Reject erkannt._\n\n';
   }
 
+  // ── Cookie-Compliance ──
+  md += formatCookieComplianceSection(data.cookieCompliance);
+
+  // ── Formular-Test ──
+  md += formatFormTestSection(data.formTest);
+
+  // ── PII an Dritte ──
+  md += formatPIISection(data.piiFindings);
+
+  // ── Crawl ──
+  md += formatCrawlSection(data.crawl);
+
   // ── E-Commerce Pfad ──
   if (data.ecommerce && data.ecommerce.length > 0) {
     md += '## E-Commerce Pfad\n\n';
@@ -1861,13 +4825,23 @@ function generateReport(data) {
     // Detail per step
     for (const step of data.ecommerce) {
       md += `### ${step.name}\n\n`;
+      if (step.flowActions?.length) {
+        md += `Ablauf: ${step.flowActions.map(a => `\`${a}\``).join(' → ')}\n\n`;
+      }
 
       md += '#### dataLayer (Diff)\n\n';
       md += formatDataLayer(step.dataLayerDiff);
       md += '\n';
+      md += formatDataLayerSources(step.dataLayerSources, '####');
 
       md += '#### Netzwerk-Requests\n\n';
       md += formatTrackerSection(step.trackers);
+      md += formatGA4Events(step.ga4Events, '####');
+      md += formatMetaEvents(step.metaEvents, '####');
+      md += formatMetaValidation(step.metaValidation);
+      md += formatAdPixelEvents(step.adPixelEvents);
+      md += formatPurchaseValidation(step.purchaseValidation, step.purchaseOrder);
+      md += formatReconciliation(step.reconciliation);
 
       md += '#### Cookies (Diff)\n\n';
       md += formatCookieTable(step.cookiesDiff);
@@ -1876,6 +4850,10 @@ function generateReport(data) {
       md += '#### localStorage (Diff)\n\n';
       md += formatLocalStorageTable(step.localStorageDiff);
       md += '\n';
+
+      md += '#### Geaenderte / entfernte Werte\n\n';
+      md += formatValueChanges(step.changes);
+      md += '\n';
     }
 
     // Product analysis section
@@ -1884,23 +4862,50 @@ function generateReport(data) {
     }
   }
 
+  // ── Timeline ──
+  md += formatTimelineSection(data.timeline);
+
   return md;
 }
 
+// ── JSON Export ──────────────────────────────────────────────────────────────
+
+// Bump only on incompatible changes; new optional fields keep the version.
+// Version 1 is additive only: removed or renamed fields stay as aliases (postReject.cookiesChanged).
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Build the machine-readable report (schema: audit-report.schema.json).
+ * Mirrors reportData; Sets are converted to arrays by serializeJSONReport().
+ */
+function buildJSONReport(data) {
+  return {
+    $schema: '../../audit-report.schema.json', // relative to reports/<project>/
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generator: 'audit.js',
+    generatedAt: new Date().toISOString(),
+    ...data,
+  };
+}
+
+function serializeJSONReport(data) {
+  return JSON.stringify(buildJSONReport(data), (key, value) => (value instanceof Set ? [...value] : value), 2);
+}
+
 // ── E-Commerce Step Data Collection ──────────────────────────────────────────
 
 /**
  * Collect tracking data for a single E-Commerce step.
  * Used by both automatic and interactive E-Commerce modes.
  */
-async function collectEcomStepData(page, context, step, prevCookies, prevLocalStorage, prevDataLayer, siteHost, harCollectors = []) {
+async function collectEcomStepData(page, context, step, prevCookies, prevLocalStorage, dataLayerRecorder, siteHost, harCollectors = []) {
   const getStepRequests = setupRequestCollector(page, `ecom-${step.name}`);
   harCollectors.push(getStepRequests);
   await waitForSettle(page, 3000);
 
-  const stepDataLayer = await collectDataLayer(page);
-  const stepBaseline = step.type === 'navigate' ? [] : prevDataLayer;
-  const stepDataLayerDiff = diffDataLayer(stepBaseline, stepDataLayer);
+  // Caller switches the recorder to `ecom-<step>` before navigating/clicking
+  const stepDataLayerDiff = dataLayerRecorder.entries(`ecom-${step.name}`);
+  const stepDataLayerSources = await dataLayerRecorder.sources(`ecom-${step.name}`);
 
   const stepRequestUrls = getStepRequests();
   const stepFullRequests = getStepRequests.full();
@@ -1913,17 +4918,22 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   const stepLocalStorage = await collectLocalStorage(page);
   const stepCookiesDiff = diffCookies(prevCookies, stepCookies);
   const stepLocalStorageDiff = diffLocalStorage(prevLocalStorage, stepLocalStorage);
+  const stepChanges = diffValueChanges(
+    { cookies: prevCookies, localStorage: prevLocalStorage },
+    { cookies: stepCookies, localStorage: stepLocalStorage },
+  );
 
   return {
     data: {
       name: step.name,
       dataLayerDiff: stepDataLayerDiff,
+      dataLayerSources: stepDataLayerSources,
       trackers: stepTrackers,
       consentMode: stepConsentMode,
       cookiesDiff: stepCookiesDiff,
       localStorageDiff: stepLocalStorageDiff,
+      changes: stepChanges,
     },
-    stepDataLayer,
     stepCookies,
     stepLocalStorage,
     stepClassified,
@@ -1931,6 +4941,371 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   };
 }
 
+// ── E-Commerce Flow (--flow) ─────────────────────────────────────────────────
+
+// Interactive --ecom runs are saved here (reports/<project>/) and played back with --replay
+const RECORDED_FLOW_FILE = 'ecom-flow.json';
+
+// Flow actions and their required fields
+const FLOW_ACTIONS = {
+  navigate: ['url'],
+  click: ['selector'],
+  fill: ['selector', 'value'],
+  select: ['selector', 'value'],
+  wait: [],
+  scroll: [],
+  purchase: ['url'],
+};
+
+/**
+ * Load and validate a flow file. Steps are grouped into checkpoints: all actions
+ * up to and including a step with "checkpoint" are recorded under that
+ * checkpoint's name (an EXPECTED_EVENTS key). Throws before any browser starts.
+ * Returns [{ name, actions }].
+ */
+function loadFlow(flowPath) {
+  const parsed = JSON.parse(readFileSync(flowPath, 'utf-8'));
+  const steps = Array.isArray(parsed) ? parsed : parsed.steps;
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error(`${flowPath}: "steps" Array fehlt oder ist leer`);
+
+  const checkpoints = [];
+  let actions = [];
+  steps.forEach((step, i) => {
+    const label = `Schritt #${i + 1}`;
+    const required = FLOW_ACTIONS[step.action];
+    if (!required) {
+      throw new Error(`${label}: unbekannte Aktion "${step.action}" (erlaubt: ${Object.keys(FLOW_ACTIONS).join(', ')})`);
+    }
+    for (const field of required) {
+      if (typeof step[field] !== 'string' || !step[field]) throw new Error(`${label} (${step.action}): "${field}" fehlt`);
+    }
+    if (step.action === 'wait' && !step.selector && !(step.ms > 0)) {
+      throw new Error(`${label} (wait): "selector" oder "ms" erforderlich`);
+    }
+    actions.push(step);
+
+    if (step.checkpoint === undefined) return;
+    if (!EXPECTED_EVENTS[step.checkpoint]) {
+      throw new Error(`${label}: unbekannter Checkpoint "${step.checkpoint}" (erlaubt: ${Object.keys(EXPECTED_EVENTS).join(', ')})`);
+    }
+    if (checkpoints.some(c => c.name === step.checkpoint)) {
+      throw new Error(`${label}: Checkpoint "${step.checkpoint}" ist mehrfach vergeben`);
+    }
+    // Purchase validation runs on the Kauf checkpoint only
+    if (step.checkpoint !== 'Kauf' && actions.some(a => a.action === 'purchase')) {
+      throw new Error(`${label}: Aktion "purchase" ist nur im Checkpoint "Kauf" erlaubt (hier: "${step.checkpoint}")`);
+    }
+    checkpoints.push({ name: step.checkpoint, actions });
+    actions = [];
+  });
+  if (actions.length) {
+    throw new Error(`Die letzten ${actions.length} Schritt(e) gehoeren zu keinem Checkpoint – letzter Schritt braucht "checkpoint"`);
+  }
+  return checkpoints;
+}
+
+/**
+ * Build the flow for the fixed E-Commerce flags (--category ... --purchase).
+ */
+function buildFlagFlow() {
+  return [
+    categoryUrl ? { name: 'Kategorie-Seite', actions: [{ action: 'navigate', url: categoryUrl }] } : null,
+    productUrl ? { name: 'Produkt-Seite', actions: [{ action: 'navigate', url: productUrl }] } : null,
+    addToCartSel ? { name: 'Add-to-Cart', actions: [{ action: 'click', selector: addToCartSel }] } : null,
+    viewCartUrl ? { name: 'Warenkorb', actions: [{ action: 'navigate', url: viewCartUrl }] } : null,
+    checkoutUrl ? { name: 'Checkout', actions: [{ action: 'navigate', url: checkoutUrl }] } : null,
+    purchaseUrl ? { name: 'Kauf', actions: [{ action: 'purchase', url: purchaseUrl, selector: purchaseSubmitSel }] } : null,
+  ].filter(Boolean);
+}
+
+/**
+ * Same-origin URLs are recorded as path + query so a flow survives staging/live switches.
+ */
+function toFlowUrl(pageUrl, baseUrl) {
+  try {
+    const u = new URL(pageUrl);
+    return u.origin === new URL(baseUrl).origin ? u.pathname + u.search : u.href;
+  } catch {
+    return pageUrl;
+  }
+}
+
+function describeFlowAction(a) {
+  switch (a.action) {
+    case 'navigate': return `navigate ${a.url}`;
+    case 'click': return `click ${a.selector}`;
+    case 'fill': return `fill ${a.selector}`;
+    case 'select': return `select ${a.selector} = ${a.value}`;
+    case 'wait': return a.selector ? `wait ${a.selector}` : `wait ${a.ms} ms`;
+    case 'scroll': return a.selector ? `scroll ${a.selector}` : 'scroll bottom';
+    case 'purchase': return `purchase ${a.url}${a.selector ? ` (Klick auf ${a.selector}, Bestellung abgefangen)` : ''}`;
+    default: return a.action;
+  }
+}
+
+/**
+ * Run a single flow action on the page. Failures are returned, not thrown,
+ * so the checkpoint is still recorded.
+ * Returns { error, skip, order } – skip: navigation target could not be resolved.
+ */
+async function runFlowAction(page, action, baseUrl) {
+  const timeout = action.timeout || 10000;
+  const target = action.url ? resolveUrl(baseUrl, action.url) : null;
+  if (action.url && !target) return { error: `URL "${action.url}" konnte nicht aufgelöst werden`, skip: true };
+
+  try {
+    switch (action.action) {
+      case 'navigate':
+        try {
+          await page.goto(target, { waitUntil: 'networkidle', timeout: 20000 });
+        } catch { /* networkidle timeout, continue */ }
+        break;
+      case 'click':
+        await page.locator(action.selector).first().click({ timeout });
+        break;
+      case 'fill':
+        await page.locator(action.selector).first().fill(action.value, { timeout });
+        break;
+      case 'select':
+        // Variant <select>: Playwright matches the string against option value and label
+        await page.locator(action.selector).first().selectOption(action.value, { timeout });
+        break;
+      case 'wait':
+        if (action.selector) await page.locator(action.selector).first().waitFor({ state: 'visible', timeout });
+        else await page.waitForTimeout(action.ms);
+        break;
+      case 'scroll':
+        if (action.selector) {
+          await page.locator(action.selector).first().scrollIntoViewIfNeeded({ timeout });
+        } else {
+          // Stepwise to trigger lazy loading / impression tracking
+          await page.evaluate(async () => {
+            for (let y = 0; y < document.body.scrollHeight; y += window.innerHeight) {
+              window.scrollTo(0, y);
+              await new Promise(r => setTimeout(r, 250));
+            }
+            window.scrollTo(0, document.body.scrollHeight);
+          });
+        }
+        break;
+      case 'purchase': {
+        const order = await submitStubbedOrder(page, target, action.selector, baseUrl);
+        return { error: order.error, order };
+      }
+    }
+  } catch (err) {
+    return { error: `${describeFlowAction(action)} fehlgeschlagen: ${err.message.split('\n')[0]}` };
+  }
+  return { error: null };
+}
+
+// ── Timeline ──────────────────────────────────────────────────────────────────
+
+const TIMELINE_PHASE_LABELS = {
+  'pre-consent': 'Pre-Consent',
+  'post-accept': 'Post-Accept',
+  'form-fill': 'Formular-Test',
+  'reject-pre': 'Reject-Browser: vor Consent',
+  'post-reject': 'Post-Reject',
+};
+const TIMELINE_MAX_ROWS = 150;
+
+function isConsentUpdateEvent(name) {
+  return !!name && /consent[ _.-]?update/i.test(name);
+}
+
+/**
+ * Merge the event sources of one browser session into a chronological timeline per phase.
+ * source: { phases, dataLayer, requests, cookieWrites, cspViolations, consentClicks }
+ * Offsets are ms relative to the phase start. Tracker hits before the first consent
+ * update (gtag consent update or a *consent_update event) of the session get warn: true.
+ */
+function buildTimeline(source, siteHost) {
+  const items = [];
+  for (const c of source.consentClicks) {
+    items.push({ timestamp: c.timestamp, type: 'consent', label: c.label });
+  }
+  for (const e of source.dataLayer) {
+    const name = getDataLayerEventName(e.data);
+    items.push({
+      timestamp: e.timestamp, type: 'dataLayer', label: name || '(ohne event)',
+      detail: [e.layer !== 'dataLayer' ? e.layer : null, e.reset ? 'nach Reset' : null].filter(Boolean).join(', ') || null,
+      ...(isConsentUpdateEvent(name) ? { consentUpdate: true } : {}),
+    });
+  }
+  for (const r of source.requests) {
+    const match = matchRequest(r.url, siteHost);
+    if (!match || match.key === null) continue;
+    const isScript = r.resourceType ? r.resourceType === 'script' : match.direction === 'script';
+    let detail = r.url;
+    try { const u = new URL(r.url); detail = u.hostname + u.pathname; } catch { /* keep full URL */ }
+    items.push({ timestamp: r.startTime, type: isScript ? 'script' : 'hit', label: match.product || match.vendor, detail });
+  }
+  for (const w of source.cookieWrites) {
+    let host = '';
+    try { host = new URL(w.url).hostname; } catch { /* */ }
+    items.push({ timestamp: w.timestamp, type: 'cookie', label: w.name, detail: `${w.source}${host ? ` (${host})` : ''}` });
+  }
+  for (const v of source.cspViolations) {
+    if (v.timestamp) items.push({ timestamp: v.timestamp, type: 'csp', label: 'CSP blockiert', detail: v.blockedURI });
+  }
+  items.sort((a, b) => a.timestamp - b.timestamp);
+
+  let consentUpdated = false;
+  for (const item of items) {
+    if (item.consentUpdate) consentUpdated = true;
+    if (item.type === 'hit' && !consentUpdated) item.warn = true;
+  }
+
+  return source.phases.map((p, i) => {
+    const from = i === 0 ? -Infinity : p.start;
+    const to = source.phases[i + 1]?.start ?? Infinity;
+    const events = items
+      .filter(item => item.timestamp >= from && item.timestamp < to)
+      .map(({ timestamp, ...rest }) => ({ offset: timestamp - p.start, ...rest }));
+    return { phase: p.phase, start: p.start, events };
+  }).filter(p => p.events.length > 0);
+}
+
+// ── Multi-Page Crawl ──────────────────────────────────────────────────────────
+
+const CRAWL_SKIP_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|zip|mp4|mp3|docx?|xlsx?|xml|json|txt|ics)$/i;
+const CRAWL_MAX_CHILD_SITEMAPS = 5;
+const CRAWL_PHASES = ['preConsent', 'postAccept', 'postReject'];
+
+/**
+ * Template key of a URL: first path segment ('/blog/', '/produkte/') or '/'.
+ */
+function getPageTemplate(urlStr) {
+  try {
+    const segment = new URL(urlStr).pathname.split('/').filter(Boolean)[0];
+    return segment ? `/${segment}/` : '/';
+  } catch {
+    return '/';
+  }
+}
+
+/**
+ * Fetch <loc> URLs from a sitemap. Follows one level of sitemap index.
+ */
+async function fetchSitemapUrls(request, sitemapUrl, depth = 0) {
+  let xml;
+  try {
+    const resp = await request.get(sitemapUrl, { timeout: 10000 });
+    if (!resp.ok()) return [];
+    xml = await resp.text();
+  } catch {
+    return [];
+  }
+  const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?\s*<\/loc>/gi)].map(m => m[1].replace(/&amp;/g, '&'));
+  if (!/<sitemapindex/i.test(xml)) return locs;
+  if (depth > 0) return [];
+
+  const urls = [];
+  for (const child of locs.slice(0, CRAWL_MAX_CHILD_SITEMAPS)) {
+    urls.push(...await fetchSitemapUrls(request, child, depth + 1));
+  }
+  return urls;
+}
+
+/**
+ * Discover up to `limit` internal pages (same site domain, including www/bare and
+ * http/https variants) from the links on the current page and /sitemap.xml.
+ * Picks round-robin across templates so a large blog does not crowd out landing pages.
+ */
+async function discoverPages(page, startUrl, limit) {
+  const start = new URL(startUrl);
+  let links = [];
+  try {
+    links = await page.evaluate(() => [...document.querySelectorAll('a[href]')].map(a => a.href));
+  } catch { /* page navigated */ }
+  const sitemapUrls = await fetchSitemapUrls(page.context().request, `${start.origin}/sitemap.xml`);
+  console.log(`  Crawl-Kandidaten: ${links.length} Links, ${sitemapUrls.length} Sitemap-URLs`);
+
+  // Same site = same registrable domain, so www/bare and http/https variants count as one page
+  const siteDomain = getSiteDomain(start.href);
+  const pageKey = (u) => u.hostname.replace(/^www\./, '') + u.pathname;
+  const seen = new Set([pageKey(start)]);
+  const byTemplate = new Map();
+  for (const raw of [...links, ...sitemapUrls]) {
+    let u;
+    try { u = new URL(raw, start); } catch { continue; }
+    if (!/^https?:$/.test(u.protocol) || getSiteDomain(u.href) !== siteDomain || CRAWL_SKIP_EXTENSIONS.test(u.pathname)) continue;
+    const key = pageKey(u);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    u.hash = '';
+    const template = getPageTemplate(u.href);
+    if (!byTemplate.has(template)) byTemplate.set(template, []);
+    byTemplate.get(template).push(u.href);
+  }
+
+  const picked = [];
+  const queues = [...byTemplate.values()];
+  while (picked.length < limit && queues.some(q => q.length > 0)) {
+    for (const q of queues) {
+      if (q.length > 0 && picked.length < limit) picked.push(q.shift());
+    }
+  }
+  return picked;
+}
+
+/**
+ * Load one crawl page in a new tab of `context` and collect trackers,
+ * Consent Mode params and the cookies newly set by this page.
+ */
+async function crawlPage(context, pageUrl, siteHost, phase, harCollectors = []) {
+  const page = await context.newPage();
+  const getRequests = setupRequestCollector(page, `crawl-${phase}`);
+  harCollectors.push(getRequests);
+  const cookiesBefore = await collectCookies(context);
+
+  try {
+    await page.goto(pageUrl, { waitUntil: 'networkidle', timeout: 20000 });
+  } catch { /* networkidle timeout, continue */ }
+  await waitForSettle(page, 3000);
+
+  const requestUrls = getRequests();
+  const trackers = deduplicateMatches(requestUrls.map(r => matchRequest(r, siteHost)).filter(Boolean));
+  const consentMode = extractConsentModeParams(requestUrls);
+  const cookiesDiff = diffCookies(cookiesBefore, await collectCookies(context));
+  await page.close().catch(() => {});
+
+  return { trackers, consentMode, cookiesDiff };
+}
+
+/**
+ * Aggregate crawl results per template: known trackers and new cookies per phase.
+ */
+function aggregateCrawl(pages) {
+  const templates = new Map();
+  for (const p of pages) {
+    if (!templates.has(p.template)) {
+      templates.set(p.template, {
+        template: p.template,
+        pages: [],
+        ...Object.fromEntries(CRAWL_PHASES.map(phase => [phase, { trackers: new Set(), cookies: new Set() }])),
+      });
+    }
+    const t = templates.get(p.template);
+    t.pages.push(p.url);
+    for (const phase of CRAWL_PHASES) {
+      if (!p[phase]) continue;
+      for (const tr of p[phase].trackers) {
+        if (tr.vendor !== 'Sonstige Third-Party') t[phase].trackers.add(tr.product || tr.vendor);
+      }
+      for (const c of p[phase].cookiesDiff) t[phase].cookies.add(c.name);
+    }
+  }
+  return [...templates.values()].map(t => ({
+    ...t,
+    ...Object.fromEntries(CRAWL_PHASES.map(phase => [phase, {
+      trackers: [...t[phase].trackers],
+      cookies: [...t[phase].cookies],
+    }])),
+  }));
+}
+
 // ── Main ──────────────────────────────────────────────────────────────────────
 
 (async () => {
@@ -1940,15 +5315,54 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   console.log(` URL     : ${url}`);
   if (cmpFlag) console.log(` CMP     : ${cmpFlag}`);
   if (categoryUrl) console.log(` E-Commerce Pfad aktiv`);
+  if (flowFlag) console.log(` E-Commerce Flow: ${flowFlag}`);
+  if (replayFlow) console.log(` E-Commerce Flow: Replay der Aufzeichnung`);
   if (ecomInteractive) console.log(` E-Commerce Pfad interaktiv`);
   if (disableSW) console.log(` Service Worker werden deregistriert`);
   if (noPayloadAnalysis) console.log(` Payload-Analyse: deaktiviert`);
   if (exportHAR) console.log(` HAR-Export: aktiviert`);
+  if (headless) console.log(` Headless: keine Benutzer-Interaktion`);
+  if (crawlLimit) console.log(` Crawl   : bis zu ${crawlLimit} weitere Seiten`);
+  if (maxCookieDaysFlag) console.log(` Cookies : max. ${maxCookieDays} Tage Laufzeit`);
+  if (extraDataLayers.length) console.log(` Data Layer: dataLayer, ${extraDataLayers.join(', ')}`);
   console.log(`=======================================\n`);
 
+  // Compliance rules: explicit file or project default – validated before any browser starts
+  const rulesPath = rulesFlag ? resolve(rulesFlag) : resolve(__dirname, 'reports', project, 'rules.json');
+  let rules = null;
+  if (rulesFlag || existsSync(rulesPath)) {
+    try {
+      rules = loadRules(rulesPath);
+      console.log(`Compliance-Regeln: ${rules.length} aus ${rulesPath}\n`);
+    } catch (err) {
+      console.error(`Regeldatei ungültig: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  // E-Commerce flow: --flow file, recorded flow (--replay) or the fixed flags – also validated before any browser starts
+  const flowPath = flowFlag ? resolve(flowFlag) : replayFlow ? resolve(__dirname, 'reports', project, RECORDED_FLOW_FILE) : null;
+  let ecomFlow = buildFlagFlow();
+  if (replayFlow && !existsSync(flowPath)) {
+    console.error(`Keine Aufzeichnung gefunden: ${flowPath} – zuerst mit --ecom interaktiv durchlaufen.`);
+    process.exit(1);
+  }
+  if (flowPath) {
+    try {
+      ecomFlow = loadFlow(flowPath);
+      // Recordings end at Checkout; the order confirmation comes from --purchase
+      if (replayFlow && purchaseUrl) ecomFlow.push(...buildFlagFlow());
+      console.log(`E-Commerce-Flow: ${ecomFlow.map(c => c.name).join(' → ')}\n`);
+    } catch (err) {
+      console.error(`Flow-Datei ungültig: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
   const library = loadLibrary();
   const siteHost = url;
   const harCollectors = []; // all request collectors for HAR export
+  const findings = [];      // non-blocking issues (headless fallbacks, skipped steps)
 
   // ── Phase 0: CMP Detection ─────────────────────────────────────────────────
 
@@ -1972,12 +5386,20 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
   console.log('\nPhase 1: Pre-Consent...');
 
-  const browser1 = await chromium.launch({ headless: false });
-  const context1 = await browser1.newContext();
+  const browser1 = await chromium.launch({ headless });
+  // Order stubbing relies on page.route, which does not see service-worker requests
+  const stubsOrder = ecomFlow.some(c => c.actions.some(a => a.action === 'purchase' && a.selector));
+  const context1 = await browser1.newContext(stubsOrder ? { serviceWorkers: 'block' } : {});
   const page1 = await context1.newPage();
 
   let getPreRequests = setupRequestCollector(page1, 'pre-consent');
   harCollectors.push(getPreRequests);
+  // Configured names outside the known non-GTM sources are treated as GTM dataLayers
+  const knownSources = [...DATA_LAYER_ARRAY_SOURCES, ...DATA_LAYER_OBJECT_SOURCES];
+  const gtmDataLayers = ['dataLayer', ...extraDataLayers.filter(n => n !== 'dataLayer' && !knownSources.includes(n))];
+  const dataLayer1 = await setupDataLayerRecorder(page1, 'pre-consent', gtmDataLayers);
+  const getCookieWrites1 = await setupCookieWriteCollector(page1);
+  const getFormInputs1 = await setupFormInputCollector(page1);
   let getPreResponseBodies = setupResponseBodyCollector(page1, siteHost);
   let getCSPViolations1 = () => [];
   if (!noPayloadAnalysis) {
@@ -1997,14 +5419,16 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   let manualOverride = false;
   if (!cmp) {
     await updateStatusBar(page1, 'Phase 0', 'Starte CMP-Erkennung...');
-    cmp = await detectCMP(page1, library);
-    if (!cmp) {
+    cmp = await detectCMP(page1, library, { interactive: !headless });
+    if (!cmp && headless) {
+      addFinding(findings, 'CMP-Erkennung', 'Keine bekannte CMP erkannt – Consent-Klicks konnten nicht automatisiert werden');
+    } else if (!cmp) {
       console.log('  CMP nicht automatisch erkannt – manueller Modus aktiv');
     }
   }
 
   // After CMP detection (auto or --cmp flag): show override button
-  if (cmp) {
+  if (cmp && !headless) {
     const { overridePromise } = await showCMPOverride(page1, cmp.name);
     overridePromise.then(() => {
       manualOverride = true;
@@ -2015,9 +5439,11 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   const reportData = {
     project,
     url,
-    cmpName: cmp ? cmp.name : '(manuell)',
+    cmpName: cmp ? cmp.name : (headless ? '(nicht erkannt)' : '(manuell)'),
     serviceWorkers: [],
     disabledSW: disableSW,
+    headless,
+    findings,
     preConsent: {},
     postAccept: {},
     postReject: {},
@@ -2029,21 +5455,33 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
         enhancedConversions: null,
         remarketing: [],
         metaSetup: null,
+        adPixels: [],
       },
       stapeTransports: [],
       googleSubTypes: new Set(),
       measurementIds: [],
     },
     sst: null,
+    crawl: null,
+    formTest: null,
+    dataLayerLog: [],
   };
 
-  const cmpLabel = cmp ? cmp.name : '(manuell)';
+  const cmpLabel = reportData.cmpName;
   await showStatusBar(page1, 'Phase 1', `Pre-Consent – CMP: ${cmpLabel}`, 'Sammle Daten...');
   await updateStatusBar(page1, 'Phase 1', `Pre-Consent – CMP: ${cmpLabel}`, 'Sammle Daten...');
 
-  // dataLayer
-  const preDataLayer = await collectDataLayer(page1);
+  // dataLayer (incl. custom GTM dataLayer names from the loader URL)
+  for (const name of detectGtmLayerNames(getPreRequests())) {
+    await dataLayer1.addLayer(name);
+    console.log(`  GTM dataLayer-Name erkannt: ${name}`);
+  }
+  const preDataLayer = dataLayer1.entries('pre-consent');
+  const preDataLayerSources = await dataLayer1.sources('pre-consent');
   console.log(`  dataLayer: ${preDataLayer.length} Eintraege`);
+  if (Object.keys(preDataLayerSources).length > 0) {
+    console.log(`  Weitere Data Layer: ${Object.keys(preDataLayerSources).join(', ')}`);
+  }
 
   // Network requests
   const preRequestUrls = getPreRequests();
@@ -2055,7 +5493,15 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   // Cookies & localStorage
   const preCookies = await collectCookies(context1);
   const preLocalStorage = await collectLocalStorage(page1);
+  const preStorage = await collectBrowserStorage(page1);
   console.log(`  Cookies: ${preCookies.length}, localStorage: ${Object.keys(preLocalStorage).length} Keys`);
+  console.log(`  sessionStorage: ${Object.keys(preStorage.sessionStorage).length} Keys, IndexedDB: ${Object.keys(preStorage.indexedDB).length} Stores, Cache Storage: ${Object.keys(preStorage.cacheStorage).length} Caches`);
+
+  // IAB TCF
+  const preTCF = await collectTCData(page1);
+  if (preTCF) console.log(`  TCF: ${preTCF.source}, TC-String ${preTCF.tcString ? 'vorhanden' : 'leer'}`);
+  const preUSPrivacy = await collectUSPrivacyData(page1);
+  if (preUSPrivacy) console.log(`  US Privacy: ${[preUSPrivacy.gpp && 'GPP', preUSPrivacy.usp && 'USP'].filter(Boolean).join(' + ')}`);
 
   // Service Workers
   const serviceWorkers = await checkServiceWorkers(page1);
@@ -2073,12 +5519,29 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
   reportData.preConsent = {
     dataLayer: preDataLayer,
+    dataLayerSources: preDataLayerSources,
     trackers: preTrackers,
     consentMode: preConsentMode,
     cookies: preCookies,
     localStorage: preLocalStorage,
+    sessionStorage: preStorage.sessionStorage,
+    indexedDB: preStorage.indexedDB,
+    cacheStorage: preStorage.cacheStorage,
+    tcf: preTCF,
+    usPrivacy: preUSPrivacy,
   };
 
+  // Crawl targets are discovered on the start page before any consent click
+  let crawlUrls = [];
+  if (crawlLimit) {
+    crawlUrls = await discoverPages(page1, url, crawlLimit);
+    console.log(`  Crawl: ${crawlUrls.length} Seiten ausgewaehlt (${new Set(crawlUrls.map(getPageTemplate)).size} Templates)`);
+    if (crawlUrls.length < crawlLimit) {
+      addFinding(findings, 'Crawl', `Nur ${crawlUrls.length} von ${crawlLimit} internen Seiten gefunden`);
+    }
+    reportData.crawl = { pages: crawlUrls.map(u => ({ url: u, template: getPageTemplate(u) })), templates: [] };
+  }
+
   // SST detection from pre-consent requests
   const preSSTUrls = detectSSTFromUrls(preRequestUrls, siteHost);
   const preResponseBodies = await getPreResponseBodies();
@@ -2098,13 +5561,17 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   // Clear request collector and set up fresh one for this phase
   const getPostAcceptRequests = setupRequestCollector(page1, 'post-accept');
   harCollectors.push(getPostAcceptRequests);
+  dataLayer1.setPhase('post-accept');
   const getPostAcceptResponseBodies = setupResponseBodyCollector(page1, siteHost);
 
   // Click accept – auto-click if CMP known (and not overridden), otherwise manual consent card
   let acceptClicked = false;
+  let acceptClickAt = null; // timeline marker
+  let acceptManual = false;
   if (cmp && !manualOverride) {
     try {
       await page1.locator(cmp.accept).first().waitFor({ state: 'visible', timeout: 5000 });
+      acceptClickAt = Date.now();
       await page1.locator(cmp.accept).first().click({ timeout: 10000 });
       acceptClicked = true;
       console.log('  Accept-Button geklickt');
@@ -2115,6 +5582,7 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
       await page1.evaluate(() => window.scrollBy(0, 400));
       await page1.waitForTimeout(2000);
       try {
+        acceptClickAt = Date.now();
         await page1.locator(cmp.accept).first().click({ timeout: 5000 });
         acceptClicked = true;
         console.log('  Accept-Button nach Scroll geklickt');
@@ -2122,20 +5590,25 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
     }
   }
 
-  if (!acceptClicked) {
+  if (!acceptClicked && headless) {
+    addFinding(findings, 'Post-Accept', cmp
+      ? `Accept-Klick fehlgeschlagen (\`${cmp.accept}\`) – Post-Accept-Daten ohne erteilten Consent erfasst`
+      : 'Kein Accept ausgeführt (CMP unbekannt) – Post-Accept-Daten ohne erteilten Consent erfasst');
+  } else if (!acceptClicked) {
     console.log('  Accept manuell – zeige Consent-Card...');
     await updateStatusBar(page1, 'Phase 2', 'Warte auf manuellen Accept...', '');
     await showConsentCard(page1, 'ACCEPT');
     await removeConsentCard(page1);
     acceptClicked = true;
+    acceptClickAt = Date.now(); // confirmation time – the actual click happened before
+    acceptManual = true;
     console.log('  Accept manuell bestaetigt');
   }
 
   await waitForSettle(page1, 3000);
 
   // dataLayer diff
-  const postAcceptDataLayer = await collectDataLayer(page1);
-  const postAcceptDataLayerDiff = diffDataLayer(preDataLayer, postAcceptDataLayer);
+  const postAcceptDataLayerDiff = dataLayer1.entries('post-accept');
   console.log(`  dataLayer Diff: ${postAcceptDataLayerDiff.length} neue Eintraege`);
 
   // New requests
@@ -2150,17 +5623,33 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   const postAcceptLocalStorage = await collectLocalStorage(page1);
   const postAcceptCookiesDiff = diffCookies(preCookies, postAcceptCookies);
   const postAcceptLocalStorageDiff = diffLocalStorage(preLocalStorage, postAcceptLocalStorage);
+  const postAcceptStorage = await collectBrowserStorage(page1);
+  const postAcceptStorageDiff = diffBrowserStorage(preStorage, postAcceptStorage);
+  const postAcceptChanges = diffValueChanges(
+    { cookies: preCookies, localStorage: preLocalStorage, ...preStorage },
+    { cookies: postAcceptCookies, localStorage: postAcceptLocalStorage, ...postAcceptStorage },
+  );
   console.log(`  Neue Cookies: ${postAcceptCookiesDiff.length}, Neue localStorage Keys: ${Object.keys(postAcceptLocalStorageDiff).length}`);
+  logStorageDiff(postAcceptStorageDiff);
+  logValueChanges(postAcceptChanges);
 
   // Consent Mode params after accept
   const postAcceptConsentMode = extractConsentModeParams(postAcceptRequestUrls);
 
+  const postAcceptTCF = await collectTCData(page1);
+  const postAcceptUSPrivacy = await collectUSPrivacyData(page1);
+
   reportData.postAccept = {
     dataLayerDiff: postAcceptDataLayerDiff,
+    dataLayerSources: await dataLayer1.sources('post-accept'),
     trackers: postAcceptTrackers,
     consentMode: postAcceptConsentMode,
     cookiesDiff: postAcceptCookiesDiff,
     localStorageDiff: postAcceptLocalStorageDiff,
+    ...postAcceptStorageDiff,
+    changes: postAcceptChanges,
+    tcf: postAcceptTCF,
+    usPrivacy: postAcceptUSPrivacy,
   };
 
   // SST detection from post-accept requests + merge with pre-consent
@@ -2185,16 +5674,17 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
     analyzeRequestPayloads(postAcceptFullRequests, postAcceptCookies, siteHost, reportData.deepAnalysis);
   }
 
-  // ── Phase 3: E-Commerce (same browser, --category or --ecom) ────────────────
+  // ── Phase 3: E-Commerce (same browser, --flow, E-Commerce flags or --ecom) ──
 
-  if (categoryUrl || ecomInteractive) {
+  let recordedFlow = null;
+
+  if (ecomFlow.length || ecomInteractive) {
     console.log('\nPhase 3: E-Commerce Pfad...');
     await updateStatusBar(page1, 'Phase 3', 'E-Commerce Pfad...', '');
 
     // We track cumulative cookies/localStorage for diffing between steps
     let prevCookies = postAcceptCookies;
     let prevLocalStorage = postAcceptLocalStorage;
-    let prevDataLayer = postAcceptDataLayer;
 
     if (ecomInteractive) {
       // ── Interaktiver Modus: User navigiert selbst ──
@@ -2204,6 +5694,7 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
         { name: 'Add-to-Cart', type: 'click' },
         { name: 'Warenkorb', type: 'navigate' },
         { name: 'Checkout', type: 'navigate' },
+        { name: 'Kauf', type: 'navigate' },
       ];
 
       // Re-inject status bar after user navigation (DOM is destroyed on page load)
@@ -2213,6 +5704,10 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
       };
       page1.on('load', onLoadStatusBar);
 
+      // Record navigated URLs and the ATC click as a replayable flow (--replay)
+      const recorded = [];
+      let lastRecordedUrl = null;
+
       for (let i = 0; i < interactiveSteps.length; i++) {
         const step = interactiveSteps[i];
         currentStepLabel = `E-Commerce: ${step.name} (interaktiv)`;
@@ -2235,26 +5730,8 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
           const getStepRequests = setupRequestCollector(page1, `ecom-${step.name}`);
           harCollectors.push(getStepRequests);
           const urlBeforeClick = page1.url();
-
-          // dataLayer-Capture: Monkey-Patch fängt DL-Pushes ab und schickt sie
-          // per exposeFunction an Node.js – überlebt Navigation
-          const dlCapture = [];
-          const dlCapCbName = '__audit_dlcap_' + Date.now();
-          try {
-            await page1.exposeFunction(dlCapCbName, (json) => {
-              try { dlCapture.push(JSON.parse(json)); } catch { /* */ }
-            });
-          } catch { /* */ }
-          await page1.evaluate((cbName) => {
-            if (!window.dataLayer) return;
-            const origPush = window.dataLayer.push.bind(window.dataLayer);
-            window.dataLayer.push = function(...args) {
-              for (const a of args) {
-                try { window[cbName](JSON.stringify(a)); } catch {}
-              }
-              return origPush(...args);
-            };
-          }, dlCapCbName);
+          // dataLayer-Recorder: alle Pushes ab jetzt gehören zum Klick-Step – auch über Navigation hinweg
+          dataLayer1.setPhase(`ecom-${step.name}`);
 
           // Phase B: Nächster Klick auf der Seite = ATC (automatische Erkennung)
           const clickResult = await showEcomClickWait(page1);
@@ -2264,6 +5741,9 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
           }
 
           console.log(`  Schritt: ${step.name} (interaktiv, click)...`);
+          console.log(`    Klick: ${clickResult.selector}${clickResult.text ? ` ("${clickResult.text}")` : ''}`);
+          if (urlBeforeClick !== lastRecordedUrl) recorded.push({ action: 'navigate', url: toFlowUrl(urlBeforeClick, url) });
+          recorded.push({ action: 'click', selector: clickResult.selector, checkpoint: step.name });
 
           // Settle – Navigation kann stattfinden
           await waitForSettle(page1, 3000);
@@ -2272,12 +5752,11 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
           const navigated = page1.url() !== urlBeforeClick;
           if (navigated) console.log(`    Navigation erkannt: ${urlBeforeClick} → ${page1.url()}`);
 
-          const dlAfterSettle = await collectDataLayer(page1);
-          // Bei Navigation: DL-Events von der alten Seite (monkey-patch) + neue Seite komplett
-          // Ohne Navigation: normaler Diff gegen vorherigen Stand
-          const stepDataLayerDiff = navigated
-            ? [...dlCapture, ...dlAfterSettle]
-            : diffDataLayer(prevDataLayer, dlAfterSettle);
+          const gtmLayers = dataLayer1.layers();
+          const stepDataLayerEvents = dataLayer1.events(`ecom-${step.name}`).filter(e => gtmLayers.includes(e.layer));
+          const stepDataLayerDiff = stepDataLayerEvents.map(e => e.data);
+          const stepDataLayerSources = await dataLayer1.sources(`ecom-${step.name}`);
+          const preNavCount = stepDataLayerEvents.filter(e => e.url === urlBeforeClick).length;
 
           const stepRequestUrls = getStepRequests();
           const stepClassified = stepRequestUrls.map(r => matchRequest(r, siteHost)).filter(Boolean);
@@ -2288,16 +5767,22 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
           const stepLocalStorage = await collectLocalStorage(page1);
           const stepCookiesDiff = diffCookies(prevCookies, stepCookies);
           const stepLocalStorageDiff = diffLocalStorage(prevLocalStorage, stepLocalStorage);
+          const stepChanges = diffValueChanges(
+            { cookies: prevCookies, localStorage: prevLocalStorage },
+            { cookies: stepCookies, localStorage: stepLocalStorage },
+          );
 
-          console.log(`    dataLayer Diff: ${stepDataLayerDiff.length} (${dlCapture.length} pre-nav, ${dlAfterSettle.length} post), Requests: ${stepClassified.length} 3P, Cookies: +${stepCookiesDiff.length}`);
+          console.log(`    dataLayer Diff: ${stepDataLayerDiff.length} (${preNavCount} pre-nav, ${stepDataLayerDiff.length - preNavCount} post), Requests: ${stepClassified.length} 3P, Cookies: +${stepCookiesDiff.length}`);
 
           reportData.ecommerce.push({
             name: step.name,
             dataLayerDiff: stepDataLayerDiff,
+            dataLayerSources: stepDataLayerSources,
             trackers: stepTrackers,
             consentMode: stepConsentMode,
             cookiesDiff: stepCookiesDiff,
             localStorageDiff: stepLocalStorageDiff,
+            changes: stepChanges,
           });
 
           // Deep Analysis: E-Commerce Click-Step
@@ -2308,10 +5793,11 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
           prevCookies = stepCookies;
           prevLocalStorage = stepLocalStorage;
-          prevDataLayer = dlAfterSettle;
+          lastRecordedUrl = page1.url();
 
         } else {
           // ── Navigate-Steps: User navigiert, dann bestätigt ──
+          dataLayer1.setPhase(`ecom-${step.name}`);
           const action = await showEcomStepPrompt(page1, step.name, i + 1, interactiveSteps.length);
           if (action === 'done') {
             console.log(`  Audit abgeschlossen nach Schritt ${i} von ${interactiveSteps.length}`);
@@ -2320,11 +5806,14 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
           console.log(`  Schritt: ${step.name} (interaktiv)...`);
 
-          const result = await collectEcomStepData(page1, context1, step, prevCookies, prevLocalStorage, prevDataLayer, siteHost, harCollectors);
+          const result = await collectEcomStepData(page1, context1, step, prevCookies, prevLocalStorage, dataLayer1, siteHost, harCollectors);
 
           console.log(`    dataLayer Diff: ${result.data.dataLayerDiff.length}, Requests: ${result.stepClassified.length} 3P, Cookies: +${result.data.cookiesDiff.length}`);
 
           reportData.ecommerce.push(result.data);
+          // Kauf is not recorded: confirmation URLs carry order IDs, replay takes the target from --purchase
+          lastRecordedUrl = page1.url();
+          if (step.name !== 'Kauf') recorded.push({ action: 'navigate', url: toFlowUrl(lastRecordedUrl, url), checkpoint: step.name });
 
           // Deep Analysis: E-Commerce Navigate-Step
           if (!noPayloadAnalysis && result.stepFullRequests) {
@@ -2333,45 +5822,51 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
           prevCookies = result.stepCookies;
           prevLocalStorage = result.stepLocalStorage;
-          prevDataLayer = result.stepDataLayer;
         }
       }
 
       page1.off('load', onLoadStatusBar);
+      // Only complete runs replace the previous recording
+      const recordable = interactiveSteps.filter(s => s.name !== 'Kauf');
+      const recordedCount = recorded.filter(s => s.checkpoint).length;
+      if (recordedCount === recordable.length) {
+        recordedFlow = { recordedAt: new Date().toISOString(), url, steps: recorded };
+      } else {
+        console.log(`  Flow nicht gespeichert: ${recordedCount} von ${recordable.length} Schritten durchlaufen, vorhandene Aufzeichnung bleibt erhalten.`);
+      }
     } else {
-      // ── Automatischer Modus (--category etc.) ──
-      const ecomSteps = [
-        { name: 'Kategorie-Seite', type: 'navigate', value: resolveUrl(url, categoryUrl) },
-        productUrl ? { name: 'Produkt-Seite', type: 'navigate', value: resolveUrl(url, productUrl) } : null,
-        addToCartSel ? { name: 'Add-to-Cart', type: 'click', value: addToCartSel } : null,
-        viewCartUrl ? { name: 'Warenkorb', type: 'navigate', value: resolveUrl(url, viewCartUrl) } : null,
-        checkoutUrl ? { name: 'Checkout', type: 'navigate', value: resolveUrl(url, checkoutUrl) } : null,
-      ].filter(Boolean);
-
-      for (const step of ecomSteps) {
-        console.log(`  Schritt: ${step.name}...`);
-        await updateStatusBar(page1, 'Phase 3', `E-Commerce: ${step.name}`, '');
-
-        // Safety: skip navigate steps where URL resolution failed
-        if (step.type === 'navigate' && !step.value) {
-          console.error(`    ÜBERSPRUNGEN: URL für "${step.name}" konnte nicht aufgelöst werden.`);
-          continue;
-        }
-
-        if (step.type === 'navigate') {
-          console.log(`    → ${step.value}`);
-          try {
-            await page1.goto(step.value, { waitUntil: 'networkidle', timeout: 20000 });
-          } catch { /* networkidle timeout, continue */ }
-        } else if (step.type === 'click') {
-          try {
-            await page1.locator(step.value).first().click({ timeout: 10000 });
-          } catch (err) {
-            console.error(`    FEHLER: Klick auf "${step.value}" fehlgeschlagen: ${err.message}`);
+      // ── Automatischer Modus (--flow oder --category etc.) ──
+      for (const checkpoint of ecomFlow) {
+        console.log(`  Schritt: ${checkpoint.name}...`);
+        await updateStatusBar(page1, 'Phase 3', `E-Commerce: ${checkpoint.name}`, '');
+
+        dataLayer1.setPhase(`ecom-${checkpoint.name}`);
+        let purchaseOrder = null;
+        let skipped = false;
+        for (const action of checkpoint.actions) {
+          console.log(`    → ${describeFlowAction(action)}`);
+          const res = await runFlowAction(page1, action, url);
+          if (res.order) {
+            purchaseOrder = res.order;
+            if (purchaseOrder.stubbedRequests.length) {
+              console.log(`    Abgefangen: ${purchaseOrder.stubbedRequests.join(', ')}`);
+            } else if (purchaseOrder.mode === 'stub') {
+              console.warn('    WARNUNG: Kein Request abgefangen – im Shop-Backend pruefen, ob eine echte Bestellung ausgeloest wurde.');
+              addFinding(findings, 'E-Commerce', `Schritt "${checkpoint.name}": beim Bestell-Klick wurde kein Request abgefangen, eine echte Bestellung ist nicht ausgeschlossen`);
+            }
           }
+          if (!res.error) continue;
+          // Safety: a navigation target that cannot be resolved skips the checkpoint
+          skipped = !!res.skip;
+          console.error(`    ${skipped ? 'ÜBERSPRUNGEN' : 'FEHLER'}: ${res.error}`);
+          addFinding(findings, 'E-Commerce', `Schritt "${checkpoint.name}"${skipped ? ' übersprungen' : ''}: ${res.error}`);
+          if (skipped) break;
         }
+        if (skipped) continue;
 
-        const result = await collectEcomStepData(page1, context1, step, prevCookies, prevLocalStorage, prevDataLayer, siteHost);
+        const result = await collectEcomStepData(page1, context1, { name: checkpoint.name }, prevCookies, prevLocalStorage, dataLayer1, siteHost);
+        if (flowPath) result.data.flowActions = checkpoint.actions.map(describeFlowAction);
+        if (purchaseOrder) result.data.purchaseOrder = purchaseOrder;
 
         console.log(`    dataLayer Diff: ${result.data.dataLayerDiff.length}, Requests: ${result.stepClassified.length} 3P, Cookies: +${result.data.cookiesDiff.length}`);
 
@@ -2384,7 +5879,6 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
         prevCookies = result.stepCookies;
         prevLocalStorage = result.stepLocalStorage;
-        prevDataLayer = result.stepDataLayer;
       }
     }
 
@@ -2395,6 +5889,39 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
     }
   }
 
+  // ── Phase 3b: Form Test (same browser, --form) ─────────────────────────────
+
+  if (formUrl) {
+    const formPageUrl = resolveUrl(url, formUrl);
+    const identity = createTestIdentity();
+    console.log(`\nPhase 3b: Formular-Test (${identity.email})...`);
+    await updateStatusBar(page1, 'Phase 3b', 'Formular-Test', identity.email);
+    dataLayer1.setPhase('form-fill');
+    reportData.formTest = { url: formPageUrl, identity };
+    try {
+      await page1.goto(formPageUrl, { waitUntil: 'networkidle', timeout: 20000 });
+    } catch { /* networkidle timeout, continue */ }
+    Object.assign(reportData.formTest, await fillTestForm(page1, identity, formSelector, formSubmitSel));
+    const ft = reportData.formTest;
+    console.log(`  Felder: ${ft.fields.map(f => f.identityKey).join(', ') || '-'}, abgeschickt: ${ft.submitted ? 'ja' : 'nein'}`);
+    if (ft.error) addFinding(findings, 'Formular-Test', ft.error);
+  }
+
+  // ── Crawl: Pre-Consent (fresh context per page) + Post-Accept (consented context) ──
+
+  if (reportData.crawl) {
+    console.log(`\nCrawl: ${reportData.crawl.pages.length} Seiten (Pre-Consent / Post-Accept)...`);
+    await updateStatusBar(page1, 'Crawl', `${reportData.crawl.pages.length} Seiten`, '');
+    for (const p of reportData.crawl.pages) {
+      console.log(`  ${p.url}`);
+      const freshContext = await browser1.newContext();
+      p.preConsent = await crawlPage(freshContext, p.url, siteHost, 'pre-consent', harCollectors);
+      await freshContext.close();
+      p.postAccept = await crawlPage(context1, p.url, siteHost, 'post-accept', harCollectors);
+      console.log(`    Pre-Consent: ${p.preConsent.trackers.length} Tracker, Post-Accept: ${p.postAccept.trackers.length} Tracker`);
+    }
+  }
+
   // Close first browser
   await browser1.close();
   console.log('\n  Browser 1 geschlossen.');
@@ -2403,13 +5930,16 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
 
   console.log('\nPhase 4: Post-Reject (neuer Browser)...');
 
-  const browser2 = await chromium.launch({ headless: false });
+  const browser2 = await chromium.launch({ headless });
   const context2 = await browser2.newContext();
   const page2 = await context2.newPage();
 
   // Pre-consent baseline in fresh browser
   const getRejectPreRequests = setupRequestCollector(page2, 'reject-pre');
   harCollectors.push(getRejectPreRequests);
+  const dataLayer2 = await setupDataLayerRecorder(page2, 'reject-pre', dataLayer1.layers());
+  const getCookieWrites2 = await setupCookieWriteCollector(page2);
+  const getFormInputs2 = await setupFormInputCollector(page2);
   let getCSPViolations2 = () => [];
   if (!noPayloadAnalysis) {
     getCSPViolations2 = await setupCSPViolationCollector(page2);
@@ -2423,9 +5953,9 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   await showStatusBar(page2, 'Phase 4', 'Post-Reject – Neuer Browser, sammle Baseline...');
   await waitForSettle(page2, 3000);
 
-  const rejectPreDataLayer = await collectDataLayer(page2);
   const rejectPreCookies = await collectCookies(context2);
   const rejectPreLocalStorage = await collectLocalStorage(page2);
+  const rejectPreStorage = await collectBrowserStorage(page2);
 
   // Consume pre-consent requests so they don't bleed into post-reject
   getRejectPreRequests();
@@ -2433,9 +5963,12 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   // Set up fresh collector for post-reject
   const getRejectPostRequests = setupRequestCollector(page2, 'post-reject');
   harCollectors.push(getRejectPostRequests);
+  dataLayer2.setPhase('post-reject');
 
   // Click reject – auto-click if CMP known (and not overridden), otherwise manual consent card
   let rejectClicked = false;
+  let rejectClickAt = null; // timeline marker
+  let rejectManual = false;
 
   if (cmp && !manualOverride) {
     // Scroll-Retry: CMP-Banner muss sichtbar sein vor Reject-Klick
@@ -2452,6 +5985,7 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
     await updateStatusBar(page2, 'Phase 4', 'Post-Reject – klicke Reject...', '');
     try {
       const rejectLocator = page2.locator(cmp.reject).first();
+      rejectClickAt = Date.now();
       await rejectLocator.click({ timeout: 5000 });
       rejectClicked = true;
       console.log('  Reject-Button geklickt');
@@ -2467,6 +6001,7 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
         await page2.locator(cmp.rejectSteps[0]).first().click({ timeout: 5000 });
         console.log(`  Step 1 geklickt (${cmp.rejectSteps[0]})`);
         await page2.waitForTimeout(2000);
+        rejectClickAt = Date.now();
         await page2.locator(cmp.rejectSteps[1]).first().click({ timeout: 5000 });
         rejectClicked = true;
         console.log(`  Step 2 geklickt (${cmp.rejectSteps[1]})`);
@@ -2476,20 +6011,25 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
     }
   }
 
-  if (!rejectClicked) {
+  if (!rejectClicked && headless) {
+    addFinding(findings, 'Post-Reject', cmp
+      ? `Reject-Klick fehlgeschlagen (\`${cmp.reject}\`) – Post-Reject-Daten ohne Ablehnung erfasst`
+      : 'Kein Reject ausgeführt (CMP unbekannt) – Post-Reject-Daten ohne Ablehnung erfasst');
+  } else if (!rejectClicked) {
     console.log('  Reject manuell – zeige Consent-Card...');
     await updateStatusBar(page2, 'Phase 4', 'Warte auf manuellen Reject...', '');
     await showConsentCard(page2, 'REJECT');
     await removeConsentCard(page2);
     rejectClicked = true;
+    rejectClickAt = Date.now(); // confirmation time – the actual click happened before
+    rejectManual = true;
     console.log('  Reject manuell bestaetigt');
   }
 
   await waitForSettle(page2, 3000);
 
   // Post-reject data
-  const rejectPostDataLayer = await collectDataLayer(page2);
-  const rejectDataLayerDiff = diffDataLayer(rejectPreDataLayer, rejectPostDataLayer);
+  const rejectDataLayerDiff = dataLayer2.entries('post-reject');
   console.log(`  dataLayer Diff: ${rejectDataLayerDiff.length} neue Eintraege`);
 
   const rejectPostRequestUrls = getRejectPostRequests();
@@ -2501,21 +6041,162 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   const rejectPostLocalStorage = await collectLocalStorage(page2);
   const rejectCookiesDiff = diffCookies(rejectPreCookies, rejectPostCookies);
   const rejectLocalStorageDiff = diffLocalStorage(rejectPreLocalStorage, rejectPostLocalStorage);
+  const rejectPostStorage = await collectBrowserStorage(page2);
+  const rejectStorageDiff = diffBrowserStorage(rejectPreStorage, rejectPostStorage);
+  const rejectChanges = diffValueChanges(
+    { cookies: rejectPreCookies, localStorage: rejectPreLocalStorage, ...rejectPreStorage },
+    { cookies: rejectPostCookies, localStorage: rejectPostLocalStorage, ...rejectPostStorage },
+  );
   console.log(`  Neue Cookies: ${rejectCookiesDiff.length}, Neue localStorage Keys: ${Object.keys(rejectLocalStorageDiff).length}`);
+  logStorageDiff(rejectStorageDiff);
+  logValueChanges(rejectChanges);
+
+  const rejectTCF = await collectTCData(page2);
+  const rejectUSPrivacy = await collectUSPrivacyData(page2);
 
   reportData.postReject = {
     dataLayerDiff: rejectDataLayerDiff,
+    dataLayerSources: await dataLayer2.sources('post-reject'),
     trackers: rejectPostTrackers,
     cookiesDiff: rejectCookiesDiff,
     localStorageDiff: rejectLocalStorageDiff,
+    ...rejectStorageDiff,
+    changes: rejectChanges,
+    // schemaVersion 1 field (before changes.cookies.changed), kept for existing consumers
+    cookiesChanged: rejectChanges.cookies.changed,
+    tcf: rejectTCF,
+    usPrivacy: rejectUSPrivacy,
   };
 
+  // dataLayer push log of both browsers (timestamps, phase, page URL, event name)
+  reportData.dataLayerLog = [...dataLayer1.log(), ...dataLayer2.log()];
+  reportData.dataLayerNames = dataLayer1.layers();
+
+  // Timeline: consent clicks, dataLayer, tracker requests, cookie writes, CSP per phase
+  const consentMarker = (clicked, timestamp, manual, label) =>
+    (clicked && timestamp ? [{ timestamp, label: manual ? `${label} (manuell bestaetigt)` : `${label}-Klick` }] : []);
+  reportData.timeline = [
+    ...buildTimeline({
+      phases: dataLayer1.phases(),
+      dataLayer: dataLayer1.events(),
+      requests: getPreRequests.full(),
+      cookieWrites: getCookieWrites1(),
+      cspViolations: getCSPViolations1(),
+      consentClicks: consentMarker(acceptClicked, acceptClickAt, acceptManual, 'Accept'),
+    }, siteHost),
+    ...buildTimeline({
+      phases: dataLayer2.phases(),
+      dataLayer: dataLayer2.events(),
+      requests: getRejectPreRequests.full(),
+      cookieWrites: getCookieWrites2(),
+      cspViolations: getCSPViolations2(),
+      consentClicks: consentMarker(rejectClicked, rejectClickAt, rejectManual, 'Reject'),
+    }, siteHost),
+  ];
+  const earlyHits = reportData.timeline.find(p => p.phase === 'post-accept')?.events.filter(e => e.warn).length || 0;
+  if (earlyHits > 0) console.log(`  Timeline: ${earlyHits} Tracking-Hits nach Accept vor dem Consent-Update`);
+
+  // GA4 hits decoded and assigned to phases by request time
+  const ga4Events1 = decodeGA4Hits(getPreRequests.full());
+  const ga4Events2 = decodeGA4Hits(getRejectPreRequests.full());
+  const hitsForPhase = (list, recorder, phase) => list.filter(e => recorder.phaseAt(e.timestamp) === phase);
+  reportData.preConsent.ga4Events = hitsForPhase(ga4Events1, dataLayer1, 'pre-consent');
+  reportData.postAccept.ga4Events = hitsForPhase(ga4Events1, dataLayer1, 'post-accept');
+  for (const step of reportData.ecommerce || []) {
+    step.ga4Events = hitsForPhase(ga4Events1, dataLayer1, `ecom-${step.name}`);
+  }
+  reportData.postReject.ga4Events = hitsForPhase(ga4Events2, dataLayer2, 'post-reject');
+  if (ga4Events1.length + ga4Events2.length > 0) {
+    console.log(`  GA4: ${ga4Events1.length + ga4Events2.length} Events dekodiert`);
+  }
+
+  // Meta Pixel events per phase; standard events validated per E-Commerce step
+  const metaEvents1 = decodeMetaHits(getPreRequests.full());
+  const metaEvents2 = decodeMetaHits(getRejectPreRequests.full());
+  reportData.preConsent.metaEvents = hitsForPhase(metaEvents1, dataLayer1, 'pre-consent');
+  reportData.postAccept.metaEvents = hitsForPhase(metaEvents1, dataLayer1, 'post-accept');
+  reportData.postReject.metaEvents = hitsForPhase(metaEvents2, dataLayer2, 'post-reject');
+  const ecomSteps = reportData.ecommerce || [];
+  for (const step of ecomSteps) {
+    step.metaEvents = hitsForPhase(metaEvents1, dataLayer1, `ecom-${step.name}`);
+  }
+  if (ecomSteps.some(s => s.metaEvents.length > 0)) {
+    for (const step of ecomSteps) step.metaValidation = validateMetaStep(step.name, step.metaEvents);
+  }
+  const metaNoEid = [...metaEvents1, ...metaEvents2].filter(e => META_REQUIRED_PARAMS[e.event] && !e.eventId);
+  if (metaNoEid.length > 0) console.log(`  Meta: ${metaNoEid.length} Standard-Events ohne eid`);
+
+  // TikTok, Pinterest, LinkedIn, Microsoft Ads events per E-Commerce step
+  if (ecomSteps.length > 0) {
+    const adPixelHits = decodeAdPixelHits(getPreRequests.full(), siteHost);
+    for (const step of ecomSteps) step.adPixelEvents = hitsForPhase(adPixelHits, dataLayer1, `ecom-${step.name}`);
+  }
+
+  // Form test: test email hashed (Enhanced Conversions / Advanced Matching) or in plaintext
+  if (reportData.formTest) {
+    const formRequests = getPreRequests.full().filter(r => dataLayer1.phaseAt(r.startTime) === 'form-fill');
+    Object.assign(reportData.formTest, analyzeFormTest(formRequests, reportData.formTest.identity, siteHost));
+    const ft = reportData.formTest;
+    console.log(`  Formular-Test: Enhanced Conversions ${ft.enhancedConversions ? 'ja' : 'nein'}, Advanced Matching ${ft.advancedMatching ? 'ja' : 'nein'}, Klartext an ${ft.plaintext.length} Hosts`);
+  }
+
+  // Purchase: dataLayer purchase vs. GA4, Google Ads, Floodlight, Meta
+  const purchaseStep = ecomSteps.find(s => s.name === 'Kauf');
+  if (purchaseStep) {
+    const allRequests1 = getPreRequests.full();
+    const purchaseRequests = allRequests1.filter(r => dataLayer1.phaseAt(r.startTime) === 'ecom-Kauf');
+    purchaseStep.purchaseValidation = analyzePurchase(purchaseStep, purchaseRequests, allRequests1);
+    const failed = purchaseStep.purchaseValidation.checks.filter(c => c.issues.length > 0);
+    console.log(`  Kauf-Tracking: ${failed.length ? failed.map(c => `${c.platform}: ${c.issues.join(', ')}`).join(' | ') : 'alle Plattformen konsistent'}`);
+  }
+
+  // PII in third-party requests of all phases (incl. plaintext/hashed values typed into forms)
+  const testIdentityInputs = reportData.formTest
+    ? Object.entries(FORM_TEST_INPUT_TYPES).map(([key, type]) => ({ value: reportData.formTest.identity[key], type, name: key }))
+    : [];
+  const knownPII = buildKnownPIIValues([...getFormInputs1(), ...getFormInputs2(), ...testIdentityInputs]);
+  reportData.piiFindings = [
+    ...scanRequestsForPII(getPreRequests.full(), siteHost, r => dataLayer1.phaseAt(r.startTime), knownPII),
+    ...scanRequestsForPII(getRejectPreRequests.full(), siteHost, r => dataLayer2.phaseAt(r.startTime), knownPII),
+  ];
+  const piiPlain = reportData.piiFindings.filter(f => !f.hashed);
+  if (piiPlain.length > 0) console.log(`  PII: ${piiPlain.length} Klartext-Funde in Third-Party-Requests`);
+
+  // E-Commerce: dataLayer ecommerce events vs. GA4/Ads/Meta hits per step
+  if (ecomSteps.length > 0) {
+    const ecomHits = decodeEcomHits(getPreRequests.full())
+      .map(h => ({ ...h, phase: dataLayer1.phaseAt(h.timestamp) }));
+    const platforms = [...new Set(ecomHits.filter(h => h.phase.startsWith('ecom-')).map(h => h.platform))];
+    const phaseOrder = dataLayer1.phases().map(p => p.phase);
+    const used = new Set();
+    for (const step of reportData.ecommerce) {
+      const phase = `ecom-${step.name}`;
+      const nextPhase = phaseOrder[phaseOrder.lastIndexOf(phase) + 1];
+      step.reconciliation = reconcileEcomStep(step, ecomHits.filter(h => h.phase === phase), platforms, {
+        laterHits: nextPhase ? ecomHits.filter(h => h.phase === nextPhase) : [],
+        used,
+      });
+    }
+    const issues = reportData.ecommerce.flatMap(s => s.reconciliation.events).filter(e => e.status !== 'ok');
+    if (issues.length > 0) console.log(`  E-Commerce-Abgleich: ${issues.length} Events nicht oder abweichend gesendet`);
+  }
+
   // Deep Analysis: Phase 4
   if (!noPayloadAnalysis) {
     const rejectFullRequests = getRejectPostRequests.full();
     analyzeRequestPayloads(rejectFullRequests, rejectPostCookies, siteHost, reportData.deepAnalysis);
   }
 
+  // ── Crawl: Post-Reject (rejected context) ──
+  if (reportData.crawl) {
+    console.log(`\nCrawl: ${reportData.crawl.pages.length} Seiten (Post-Reject)...`);
+    for (const p of reportData.crawl.pages) {
+      p.postReject = await crawlPage(context2, p.url, siteHost, 'post-reject', harCollectors);
+      console.log(`  ${p.url}: ${p.postReject.trackers.length} Tracker`);
+    }
+    reportData.crawl.templates = aggregateCrawl(reportData.crawl.pages);
+  }
+
   await updateStatusBar(page2, 'Phase 5', 'Fertig – Report wird generiert...', `DL: +${rejectDataLayerDiff.length} | 3P: +${rejectPostClassified.length}`);
   await browser2.close();
   console.log('  Browser 2 geschlossen.');
@@ -2581,6 +6262,44 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   reportData.consentModeTransition = analyzeConsentModeTransition(reportData);
   if (reportData.consentModeTransition.status !== 'no_consent_mode') {
     console.log(`\n  Consent Mode: ${reportData.consentModeTransition.preGcs} → ${reportData.consentModeTransition.postGcs} (${reportData.consentModeTransition.status})`);
+    if (reportData.consentModeTransition.v2Missing.length > 0) {
+      console.log(`  Consent Mode v2: ${reportData.consentModeTransition.v2Missing.join(', ')} nicht gesetzt`);
+    }
+  }
+
+  // ── IAB TCF Analysis ───────────────────────────────────────────────────────
+  reportData.tcfAnalysis = analyzeTCF(reportData);
+  if (reportData.tcfAnalysis) {
+    const tcfa = reportData.tcfAnalysis;
+    const rejectState = tcfa.reject ? (tcfa.reject.deniesAll ? 'verweigert alles' : 'enthält noch Consent') : 'kein TC-String';
+    console.log(`  TCF: Reject ${rejectState}, ${tcfa.vendorsWithoutConsent.length} Tracker ohne Vendor-Consent`);
+  }
+
+  reportData.cookieCategories = analyzeCookieCategories(reportData);
+  const preMarketing = reportData.cookieCategories.preConsent.marketing.length;
+  const rejectMarketing = reportData.cookieCategories.postReject.marketing.length;
+  if (preMarketing || rejectMarketing) {
+    console.log(`  Marketing-Cookies: ${preMarketing} vor Consent, ${rejectMarketing} nach Reject`);
+  }
+
+  reportData.cookieCompliance = analyzeCookieCompliance(reportData, maxCookieDays);
+  const cc = reportData.cookieCompliance;
+  if (cc.tooLong.length || cc.insecureThirdParty.length || cc.changedAfterReject.length) {
+    console.log(`  Cookie-Compliance: ${cc.tooLong.length} zu lange Laufzeit, ${cc.insecureThirdParty.length} Third-Party ohne SameSite=None; Secure, ${cc.changedAfterReject.length} nach Reject geaendert`);
+  }
+
+  reportData.usPrivacyAnalysis = analyzeUSPrivacy(reportData);
+  if (reportData.usPrivacyAnalysis?.violations.length > 0) {
+    console.log(`  US Privacy: ${reportData.usPrivacyAnalysis.violations.length} Werbe-Tracker trotz Opt-Out`);
+  }
+
+  // ── Compliance Rules ───────────────────────────────────────────────────────
+  if (rules) {
+    reportData.ruleResults = evaluateRules(rules, reportData);
+    const failed = reportData.ruleResults.filter(r => r.verdict === 'FAIL');
+    const warned = reportData.ruleResults.filter(r => r.verdict === 'WARN');
+    console.log(`\n  Compliance-Regeln: ${reportData.ruleResults.length - failed.length - warned.length} PASS, ${failed.length} FAIL, ${warned.length} WARN`);
+    for (const r of failed) console.log(`    FAIL ${r.id}: ${r.details}`);
   }
 
   // ── Phase 5: Report Generation ──────────────────────────────────────────────
@@ -2603,6 +6322,17 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   const markdown = generateReport(reportData);
   writeFileSync(reportFile, markdown, 'utf-8');
 
+  // JSON-Export (immer, für Dashboards/Scripts)
+  const jsonFile = resolve(reportDir, `audit-${hostSlug}-${timestamp}.json`);
+  writeFileSync(jsonFile, serializeJSONReport(reportData), 'utf-8');
+
+  // Aufgezeichneter E-Commerce-Flow (--ecom), abspielbar mit --replay
+  let flowFile = null;
+  if (recordedFlow) {
+    flowFile = resolve(reportDir, RECORDED_FLOW_FILE);
+    writeFileSync(flowFile, JSON.stringify(recordedFlow, null, 2), 'utf-8');
+  }
+
   // HAR-Export (optional)
   let harFile = null;
   if (exportHAR) {
@@ -2614,6 +6344,12 @@ async function collectEcomStepData(page, context, step, prevCookies, prevLocalSt
   console.log(`\n=======================================`);
   console.log(` Audit abgeschlossen!`);
   console.log(` Report: ${reportFile}`);
+  console.log(` JSON:   ${jsonFile}`);
   if (harFile) console.log(` HAR:    ${harFile}`);
+  if (flowFile) console.log(` Flow:   ${flowFile} (--replay)`);
   console.log(`=======================================\n`);
+
+  if (reportData.ruleResults?.some(r => r.verdict === 'FAIL')) {
+    process.exitCode = 2;
+  }
 })();
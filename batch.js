@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * batch.js – Run audit.js for many sites from a manifest file
+ *
+ * Usage:
+ *   node batch.js --manifest <sites.json|sites.yaml> [options]
+ *
+ * Required:
+ *   --manifest    JSON or YAML manifest with "sites" (and optional "defaults")
+ *
+ * Optional:
+ *   --parallel    Number of audits running at the same time (Default: 1)
+ *   --timeout     Timeout per site in minutes (Default: 15)
+ *
+ * Each site runs as its own `node audit.js` process (headless unless the
+ * manifest sets "headless": false). Afterwards an index report is written to
+ * reports/batch-<YYYY-MM-DD-HHMM>.md linking every site's audit report.
+ */
+
+import { spawn } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { resolve, dirname, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYAML } from 'yaml';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const AUDIT_PATH = resolve(__dirname, 'audit.js');
+const REPORTS_DIR = resolve(__dirname, 'reports');
+
+// ── CLI args ──────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+const get = (flag) => { const i = args.indexOf(flag); return i !== -1 ? args[i + 1] : null; };
+
+const manifestPath = get('--manifest');
+const parallel = parseInt(get('--parallel') || '1', 10);
+const timeoutMin = parseFloat(get('--timeout') || '15');
+
+if (!manifestPath) {
+  console.error('Usage: node batch.js --manifest <sites.json|sites.yaml> [--parallel <n>] [--timeout <minuten>]');
+  process.exit(1);
+}
+
+if (!(parallel > 0) || !(timeoutMin > 0)) {
+  console.error('--parallel und --timeout erwarten positive Zahlen.');
+  process.exit(1);
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function getHostname(urlStr) {
+  try { return new URL(urlStr).hostname; } catch { return null; }
+}
+
+function timestamp() {
+  const now = new Date();
+  const date = now.toISOString().split('T')[0];
+  const time = now.toTimeString().slice(0, 5).replace(':', '');
+  return `${date}-${time}`;
+}
+
+// ── Manifest ──────────────────────────────────────────────────────────────────
+
+// Manifest keys that map 1:1 to audit.js flags with a value
+const VALUE_FLAGS = {
+  cmp: '--cmp',
+  rules: '--rules',
+  crawl: '--crawl',
+};
+
+// audit.js flags whose value is a file path (relative to the manifest)
+const PATH_FLAGS = ['--rules', '--flow'];
+
+// Keys of the "ecom" object → audit.js E-Commerce flags
+const ECOM_FLAGS = {
+  category: '--category',
+  product: '--product',
+  addToCart: '--add-to-cart',
+  viewCart: '--view-cart',
+  checkout: '--checkout',
+  purchase: '--purchase',
+  purchaseSubmit: '--purchase-submit',
+};
+
+/**
+ * Load and validate the manifest (.yml/.yaml as YAML, anything else as JSON).
+ * Site entries inherit "defaults" (flags are concatenated, everything else
+ * is overridden per site).
+ */
+function loadManifest(path) {
+  const text = readFileSync(path, 'utf-8');
+  const parsed = ['.yml', '.yaml'].includes(extname(path).toLowerCase()) ? parseYAML(text) : JSON.parse(text);
+  if (!parsed || typeof parsed !== 'object') throw new Error('Manifest ist leer oder kein Objekt');
+  const sites = Array.isArray(parsed) ? parsed : parsed.sites;
+  if (!Array.isArray(sites) || sites.length === 0) throw new Error('"sites" Array fehlt oder ist leer');
+  const defaults = parsed.defaults || {};
+
+  return sites.map((entry, i) => {
+    const site = {
+      ...defaults,
+      ...entry,
+      ecom: { ...(defaults.ecom || {}), ...(entry.ecom || {}) },
+      flags: [...(defaults.flags || []), ...(entry.flags || [])],
+    };
+    const label = site.project || `#${i + 1}`;
+    if (!site.url || !site.project) throw new Error(`Site ${label}: "url" und "project" sind Pflicht`);
+    if (site.flags.includes('--ecom')) throw new Error(`Site ${label}: --ecom ist interaktiv und im Batch nicht moeglich`);
+    for (const key of Object.keys(site.ecom)) {
+      if (!ECOM_FLAGS[key]) throw new Error(`Site ${label}: unbekannter ecom-Schluessel "${key}" (erlaubt: ${Object.keys(ECOM_FLAGS).join(', ')})`);
+    }
+    return site;
+  });
+}
+
+/**
+ * Translate a manifest site entry into audit.js CLI args. Relative file paths
+ * (rules, --flow) are resolved against the manifest's folder, since audit.js
+ * runs with the repo folder as working directory.
+ */
+function buildAuditArgs(site, baseDir) {
+  const auditArgs = ['--url', site.url, '--project', site.project];
+  for (const [key, flag] of Object.entries(VALUE_FLAGS)) {
+    if (site[key] !== undefined && site[key] !== null) auditArgs.push(flag, String(site[key]));
+  }
+  for (const [key, flag] of Object.entries(ECOM_FLAGS)) {
+    if (site.ecom[key]) auditArgs.push(flag, site.ecom[key]);
+  }
+  if (site.headless !== false && !site.flags.includes('--headless')) auditArgs.push('--headless');
+  auditArgs.push(...site.flags);
+  return auditArgs.map((arg, i) => (i > 0 && PATH_FLAGS.includes(auditArgs[i - 1]) ? resolve(baseDir, arg) : arg));
+}
+
+// ── Runner ────────────────────────────────────────────────────────────────────
+
+/**
+ * Run one audit.js process. Output is prefixed with the project name on the
+ * console and kept for the log file. Resolves with { exitCode, timedOut, log }.
+ */
+function runAudit(site, auditArgs) {
+  return new Promise((resolvePromise) => {
+    const child = spawn(process.execPath, [AUDIT_PATH, ...auditArgs], { cwd: __dirname, stdio: ['ignore', 'pipe', 'pipe'] });
+    const log = [];
+    const onData = (chunk) => {
+      const text = chunk.toString();
+      log.push(text);
+      for (const line of text.split('\n')) {
+        if (line.trim()) console.log(`[${site.project}] ${line}`);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill();
+    }, timeoutMin * 60 * 1000);
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolvePromise({ exitCode: code, timedOut, log: log.join('') });
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolvePromise({ exitCode: null, timedOut, log: log.join('') + `\n${err.message}\n` });
+    });
+  });
+}
+
+/**
+ * Path of the audit JSON as printed by audit.js in its summary
+ * (" JSON:   <path>"), or null if the run did not get that far.
+ */
+function findAuditJSON(log) {
+  const match = log.match(/^ JSON: +(.+?)\r?$/m);
+  if (!match) return null;
+  const jsonFile = resolve(__dirname, match[1]);
+  return existsSync(jsonFile) ? jsonFile : null;
+}
+
+/**
+ * Reduce an audit JSON to the numbers shown in the index report.
+ */
+function summarizeAudit(report) {
+  const known = (trackers) => (trackers || []).filter(t => t.vendor !== 'Sonstige Third-Party');
+  const rules = report.ruleResults || [];
+  return {
+    cmpName: report.cmpName,
+    preConsentTrackers: known(report.preConsent?.trackers).map(t => t.product || t.vendor),
+    postRejectTrackers: known(report.postReject?.trackers).map(t => t.product || t.vendor),
+    consentModeStatus: report.consentModeTransition?.status || null,
+    v2Missing: report.consentModeTransition?.v2Missing || [],
+    rules: rules.length
+      ? { pass: rules.filter(r => r.verdict === 'PASS').length, fail: rules.filter(r => r.verdict === 'FAIL').length, warn: rules.filter(r => r.verdict === 'WARN').length }
+      : null,
+    findings: (report.findings || []).length,
+  };
+}
+
+/**
+ * Process all sites with at most `limit` audits running at once.
+ */
+async function runAll(sites, limit, logDir, baseDir) {
+  const results = new Array(sites.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < sites.length) {
+      const index = next++;
+      const site = sites[index];
+      const auditArgs = buildAuditArgs(site, baseDir);
+      const startedAt = Date.now();
+      console.log(`\n[${site.project}] Start (${index + 1}/${sites.length}): node audit.js ${auditArgs.join(' ')}`);
+
+      const run = await runAudit(site, auditArgs);
+      const duration = Math.round((Date.now() - startedAt) / 1000);
+      const logFile = resolve(logDir, `${index + 1}-${site.project}-${(getHostname(site.url) || 'unknown').replace(/\./g, '_')}.log`);
+      writeFileSync(logFile, run.log, 'utf-8');
+
+      const jsonFile = findAuditJSON(run.log);
+      let summary = null;
+      if (jsonFile) {
+        try {
+          summary = summarizeAudit(JSON.parse(readFileSync(jsonFile, 'utf-8')));
+        } catch (err) {
+          console.error(`[${site.project}] Audit-JSON nicht lesbar: ${err.message}`);
+        }
+      }
+
+      // audit.js: 0 = ok, 2 = compliance rule failed, anything else = crashed
+      let status = 'error';
+      if (run.timedOut) status = 'timeout';
+      else if (run.exitCode === 0 && summary) status = 'ok';
+      else if (run.exitCode === 2 && summary) status = 'fail';
+
+      results[index] = { site, status, exitCode: run.exitCode, duration, jsonFile, logFile, summary };
+      console.log(`[${site.project}] Ende: ${STATUS_LABELS[status]} (${duration}s)`);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, sites.length) }, worker));
+  return results;
+}
+
+// ── Index Report ──────────────────────────────────────────────────────────────
+
+const STATUS_LABELS = {
+  ok: '✓ OK',
+  fail: '✗ Regeln FAIL',
+  error: '✗ Fehler',
+  timeout: '✗ Timeout',
+};
+
+const CONSENT_MODE_LABELS = {
+  update_ok: '✓ Update',
+  no_update: '⚠️ kein Update',
+  ecom_stale: '⚠️ E-Com veraltet',
+  no_consent_mode: '–',
+};
+
+function generateIndexReport(results, meta) {
+  const rel = (file) => (file ? file.slice(REPORTS_DIR.length + 1).replace(/\\/g, '/') : null);
+  const list = (items) => (items.length ? `⚠️ ${items.join(', ')}` : '–');
+  const count = (status) => results.filter(r => r.status === status).length;
+
+  let md = `# Batch-Audit\n\n`;
+  md += `| | |\n|---|---|\n`;
+  md += `| **Manifest** | \`${meta.manifest}\` |\n`;
+  md += `| **Datum** | ${meta.date} |\n`;
+  md += `| **Sites** | ${results.length} |\n`;
+  md += `| **Parallel** | ${meta.parallel} |\n\n`;
+
+  md += '## Zusammenfassung\n\n';
+  md += `${count('ok')} OK, ${count('fail')} mit FAIL-Regeln, ${count('error') + count('timeout')} abgebrochen\n\n`;
+
+  md += '## Sites\n\n';
+  md += '| Projekt | URL | Status | CMP | Tracker Pre-Consent | Tracker Post-Reject | Consent Mode | Regeln | Findings | Report |\n';
+  md += '|---------|-----|--------|-----|---------------------|---------------------|--------------|--------|----------|--------|\n';
+  for (const r of results) {
+    const s = r.summary;
+    const report = r.jsonFile ? `[Report](${rel(r.jsonFile).replace(/\.json$/, '.md')}) / [JSON](${rel(r.jsonFile)})` : `[Log](${rel(r.logFile)})`;
+    if (!s) {
+      md += `| ${r.site.project} | ${r.site.url} | ${STATUS_LABELS[r.status]} | – | – | – | – | – | – | ${report} |\n`;
+      continue;
+    }
+    let consentMode = CONSENT_MODE_LABELS[s.consentModeStatus] || '–';
+    if (s.v2Missing.length > 0) consentMode += ' (v2 unvollstaendig)';
+    const rules = s.rules ? `${s.rules.pass} / ${s.rules.fail} / ${s.rules.warn}` : '–';
+    md += `| ${r.site.project} | ${r.site.url} | ${STATUS_LABELS[r.status]} | ${s.cmpName} | ${list(s.preConsentTrackers)} | ${list(s.postRejectTrackers)} | ${consentMode} | ${rules} | ${s.findings || '–'} | ${report} |\n`;
+  }
+  md += '\n_Regeln: PASS / FAIL / WARN. Logs je Site unter `' + rel(meta.logDir) + '/`._\n';
+
+  return md;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+(async () => {
+  let sites;
+  try {
+    sites = loadManifest(resolve(manifestPath));
+  } catch (err) {
+    console.error(`Manifest ungueltig (${manifestPath}): ${err.message}`);
+    process.exit(1);
+  }
+
+  const ts = timestamp();
+  const logDir = resolve(REPORTS_DIR, `batch-${ts}`);
+  mkdirSync(logDir, { recursive: true });
+
+  console.log(`\n=======================================`);
+  console.log(` Batch-Audit`);
+  console.log(` Manifest: ${manifestPath}`);
+  console.log(` Sites   : ${sites.length}`);
+  console.log(` Parallel: ${parallel}`);
+  console.log(`=======================================`);
+
+  const results = await runAll(sites, parallel, logDir, dirname(resolve(manifestPath)));
+
+  const indexFile = resolve(REPORTS_DIR, `batch-${ts}.md`);
+  const markdown = generateIndexReport(results, {
+    manifest: manifestPath,
+    date: `${ts.slice(0, 10)} ${ts.slice(11, 13)}:${ts.slice(13, 15)}`,
+    parallel,
+    logDir,
+  });
+  writeFileSync(indexFile, markdown, 'utf-8');
+
+  console.log(`\n=======================================`);
+  for (const r of results) console.log(` ${STATUS_LABELS[r.status].padEnd(14)} ${r.site.project} (${r.site.url})`);
+  console.log(` Index: ${indexFile}`);
+  console.log(`=======================================\n`);
+
+  // 1 = at least one audit crashed / timed out, 2 = at least one rule FAIL
+  if (results.some(r => r.status === 'error' || r.status === 'timeout')) process.exitCode = 1;
+  else if (results.some(r => r.status === 'fail')) process.exitCode = 2;
+})();
@@ -193,6 +193,77 @@ export async function showMessage(page, message, { type = 'info', title = 'Audit
   return result;
 }
 
+const STABLE_DATA_ATTRS = [
+  'data-testid', 'data-id', 'data-action', 'data-key', 'data-name',
+  'data-cy', 'data-qa', 'data-element', 'data-role', 'data-type',
+];
+
+/**
+ * Runs in the page (installed via installClickTargetHelper) for showEcomClickWait:
+ * resolve the clicked element and build a selector that is unique on the page where
+ * possible – id, stable data attribute, name, form action, classes, then button text.
+ * Hashed ids/classes (CSS modules, styled-components, framework ids) and state classes
+ * are skipped.
+ */
+function describeClickTarget(target, stableAttrs) {
+  const INTERACTIVE = ['BUTTON', 'A', 'INPUT', 'SELECT'];
+  const el = INTERACTIVE.includes(target.tagName) || target.getAttribute('role') === 'button'
+    ? target
+    : target.closest('button, a, [role="button"], input[type="button"], input[type="submit"]')
+      || target.closest('[id], [class]') || target;
+
+  const isHashed = (token) => token.includes(':') || /^(css|sc|jss)-/.test(token) ||
+    token.split(/[-_]+/).some(seg => seg.length >= 5 && /\d/.test(seg) && /[a-z]/i.test(seg));
+  const isState = (cls) => /^(is|has)-|--(active|selected|disabled|loading|open)$/i.test(cls) ||
+    /^(active|hover|focus|focused|selected|disabled|loading|open)$/i.test(cls);
+  const esc = (v) => v.replace(/["\\]/g, '\\$&');
+
+  const tag = el.tagName.toLowerCase();
+  const text = (el.innerText || el.textContent || el.value || '').trim().replace(/\s+/g, ' ').slice(0, 80) || null;
+  const stableDataAttr = Array.from(el.attributes)
+    .filter(a => stableAttrs.includes(a.name) && a.value)
+    .map(a => '[' + a.name + '="' + esc(a.value) + '"]')[0] || null;
+  const allDataAttrs = Array.from(el.attributes)
+    .filter(a => a.name.startsWith('data-'))
+    .map(a => '[' + a.name + '="' + a.value + '"]');
+  const classList = typeof el.className === 'string'
+    ? el.className.trim().split(/\s+/).filter(c => c && !isHashed(c) && !isState(c))
+    : [];
+
+  const candidates = [];
+  if (el.id && !isHashed(el.id)) candidates.push('#' + CSS.escape(el.id));
+  if (stableDataAttr) candidates.push(tag + stableDataAttr);
+  if (el.getAttribute('name')) candidates.push(tag + '[name="' + esc(el.getAttribute('name')) + '"]');
+  const form = el.closest('form[action]');
+  if (form && el.type === 'submit') candidates.push('form[action="' + esc(form.getAttribute('action')) + '"] [type="submit"]');
+  if (classList.length) candidates.push(tag + '.' + classList.map(c => CSS.escape(c)).join('.'));
+
+  const unique = candidates.find(sel => {
+    try { return document.querySelectorAll(sel).length === 1; } catch { return false; }
+  });
+  const selector = unique
+    || (text && text.length <= 40 ? tag + ':has-text("' + esc(text) + '")' : null)
+    || candidates[0] || tag;
+
+  return {
+    selector,
+    id: el.id || null,
+    stableDataAttr,
+    allDataAttrs,
+    classes: (typeof el.className === 'string' && el.className) || null,
+    tag,
+    text,
+  };
+}
+
+/**
+ * Make describeClickTarget available as window.__auditDescribeClickTarget
+ * (again after every navigation).
+ */
+async function installClickTargetHelper(page) {
+  await page.evaluate(`window.__auditDescribeClickTarget = ${describeClickTarget.toString()};`);
+}
+
 export async function showClickPrompt(page, label) {
   const callbackName = nextCallbackName('click');
 
@@ -205,11 +276,6 @@ export async function showClickPrompt(page, label) {
     });
   } catch { /* */ }
 
-  const STABLE_DATA_ATTRS = [
-    'data-testid', 'data-id', 'data-action', 'data-key', 'data-name',
-    'data-cy', 'data-qa', 'data-element', 'data-role', 'data-type',
-  ];
-
   // Floating card at bottom — NO dark overlay so the page stays visible and clickable
   await page.evaluate(({ styles, label, cbName }) => {
     const old = document.getElementById('__audit-clickprompt');
@@ -924,7 +990,9 @@ export async function showEcomStepPrompt(page, stepName, stepNumber, totalSteps,
 /**
  * Wait for the user to click anywhere on the page (outside our UI).
  * Shows a floating indicator with pulsing "Warte auf Klick..." and an abort button.
- * Re-injects after navigation. Returns 'click' or 'done'.
+ * Re-injects after navigation. Returns 'done' or { selector, tag, text } of the
+ * clicked element – selector is unique on the page where possible, so the click
+ * can be replayed.
  *
  * Used for interactive Add-to-Cart: after "Bereit", the next page click = ATC.
  */
@@ -943,11 +1011,12 @@ export async function showEcomClickWait(page) {
     });
   } catch { /* */ }
 
-  const injectArgs = { styles: ECOM_PROMPT_STYLES, cbName: callbackName };
+  const injectArgs = { styles: ECOM_PROMPT_STYLES, cbName: callbackName, stableAttrs: STABLE_DATA_ATTRS };
 
   async function inject() {
-    const { styles, cbName } = injectArgs;
-    await page.evaluate(({ styles, cbName }) => {
+    const { styles, cbName, stableAttrs } = injectArgs;
+    await installClickTargetHelper(page);
+    await page.evaluate(({ styles, cbName, stableAttrs }) => {
       if (document.getElementById('__audit-ecomprompt')) return;
 
       const oldStyle = document.getElementById('__audit-ecomprompt-style');
@@ -993,8 +1062,10 @@ export async function showEcomClickWait(page) {
           status.style.animation = 'none';
         }
 
+        const { selector, tag, text } = window.__auditDescribeClickTarget(e.target, stableAttrs);
+
         // Call back to Node BEFORE navigation can destroy the page
-        window[cbName]('click');
+        window[cbName]({ selector, tag, text });
       }, { capture: true });
 
       // Drag handling
@@ -1023,7 +1094,7 @@ export async function showEcomClickWait(page) {
         dragging = false;
         card.classList.remove('--dragging');
       });
-    }, { styles, cbName });
+    }, { styles, cbName, stableAttrs });
   }
 
   await inject();
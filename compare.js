@@ -467,13 +467,50 @@ function extractConsentModeParams(requestUrls) {
       const gcs = u.searchParams.get('gcs');
       const gcd = u.searchParams.get('gcd');
       if (gcs || gcd) {
-        params.push({ url: truncate(reqUrl, 120), gcs: gcs || '-', gcd: gcd || '-' });
+        params.push({ url: truncate(reqUrl, 120), gcs: gcs || '-', gcd: gcd || '-', gcdSignals: decodeGcd(gcd) });
       }
     } catch { /* ignore */ }
   }
   return params;
 }
 
+// ── Consent Mode gcd Decoding (from audit.js) ───────────────────────────────
+
+const GCD_SIGNALS = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+
+const GCD_LETTERS = {
+  l: { state: null, source: 'implicit', label: 'nicht gesetzt' },
+  p: { state: 'denied', source: 'default', label: 'denied (Default)' },
+  q: { state: 'denied', source: 'default+update', label: 'denied (Default + Update)' },
+  t: { state: 'granted', source: 'default', label: 'granted (Default)' },
+  r: { state: 'granted', source: 'default+update', label: 'denied → granted (Update)' },
+  m: { state: 'denied', source: 'update', label: 'denied (nur Update)' },
+  n: { state: 'granted', source: 'update', label: 'granted (nur Update)' },
+  u: { state: 'denied', source: 'default+update', label: 'granted → denied (Update)' },
+  v: { state: 'granted', source: 'default+update', label: 'granted (Default + Update)' },
+};
+
+function decodeGcd(gcd) {
+  if (!gcd || gcd === '-' || gcd.length < 9) return null;
+  const signals = {};
+  GCD_SIGNALS.forEach((signal, i) => {
+    const letter = gcd[2 + i * 2];
+    const known = GCD_LETTERS[letter];
+    signals[signal] = known
+      ? { letter, ...known }
+      : { letter, state: null, source: 'unknown', label: `unbekannt (${letter})` };
+  });
+  signals.missingV2 = ['ad_user_data', 'ad_personalization']
+    .filter(s => signals[s].source === 'implicit' || signals[s].source === 'unknown');
+  return signals;
+}
+
+function formatGcdSignal(signal) {
+  if (!signal) return '–';
+  const icon = signal.state === 'granted' ? '✓' : signal.state === 'denied' ? '✗' : '⚠️';
+  return `${icon} ${signal.label}`;
+}
+
 // ── Analysis ──────────────────────────────────────────────────────────────────
 
 function analyzeSide(collector, siteUrl) {
@@ -562,6 +599,11 @@ function buildDiff(analysisA, analysisB) {
 
   const cmA = analysisA.consentMode;
   const cmB = analysisB.consentMode;
+  // Consent Mode v2 signals missing in any decoded gcd of one side
+  const v2Gaps = (cm) => {
+    const decoded = [...cm.pre, ...cm.post].map(p => p.gcdSignals).filter(Boolean);
+    return GCD_SIGNALS.filter(s => decoded.some(d => d.missingV2.includes(s)));
+  };
   const consentModeDiff = {
     typeA: cmA.type,
     typeB: cmB.type,
@@ -576,6 +618,8 @@ function buildDiff(analysisA, analysisB) {
     postGcdB: cmB.post.length > 0 ? cmB.post[0].gcd : '-',
     preGcsMatch: (cmA.pre.length > 0 ? cmA.pre[0].gcs : '-') === (cmB.pre.length > 0 ? cmB.pre[0].gcs : '-'),
     postGcsMatch: (cmA.post.length > 0 ? cmA.post[0].gcs : '-') === (cmB.post.length > 0 ? cmB.post[0].gcs : '-'),
+    v2MissingA: v2Gaps(cmA),
+    v2MissingB: v2Gaps(cmB),
   };
 
   return { onlyA, onlyB, both, details, sstDiff, consentModeDiff };
@@ -752,10 +796,25 @@ function generateCompareReport(analysisA, analysisB, diff, meta) {
     const postGcdLine = !postGcdMatch ? `| **Post-Consent gcd** | **${fmtVal(cmd.postGcdA)}** | **${fmtVal(cmd.postGcdB)}** |` : `| Post-Consent gcd | ${fmtVal(cmd.postGcdA)} | ${fmtVal(cmd.postGcdB)} |`;
     ln(postGcdLine);
   }
+  // Decoded gcd signals
+  for (const [phaseLabel, gcdA, gcdB] of [['Pre-Consent', cmd.preGcdA, cmd.preGcdB], ['Post-Consent', cmd.postGcdA, cmd.postGcdB]]) {
+    const signalsA = decodeGcd(gcdA);
+    const signalsB = decodeGcd(gcdB);
+    if (!signalsA && !signalsB) continue;
+    for (const s of GCD_SIGNALS) {
+      const a = formatGcdSignal(signalsA?.[s]);
+      const b = formatGcdSignal(signalsB?.[s]);
+      ln(a !== b ? `| **${phaseLabel} ${s}** | **${a}** | **${b}** |` : `| ${phaseLabel} ${s} | ${a} | ${b} |`);
+    }
+  }
   if (cmd.typeA === 'Basic' && cmd.typeB === 'Basic' && cmd.preGcsA === '-' && cmd.postGcsA === '-' && cmd.preGcsB === '-' && cmd.postGcsB === '-') {
     ln(`| | Nicht erkannt (Basic oder kein Consent Mode) | Nicht erkannt (Basic oder kein Consent Mode) |`);
   }
   ln();
+  for (const [label, missing] of [[meta.labelA, cmd.v2MissingA], [meta.labelB, cmd.v2MissingB]]) {
+    if (missing.length > 0) ln(`⚠️ **Consent Mode v2 (${label}):** ${missing.join(', ')} nicht gesetzt`);
+  }
+  if (cmd.v2MissingA.length > 0 || cmd.v2MissingB.length > 0) ln();
 
   // SST Details
   ln(`## SST / Custom Loader Details`);